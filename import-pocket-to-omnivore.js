@@ -3,20 +3,97 @@
 /**
  * Pocket to Omnivore Import Script using Official Node.js Client
  *
- * Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>
+ * Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>...
+ *        node import-pocket-to-omnivore.js audit [options] <csv_file_path>...
+ *
+ * Each path can be a CSV or HTML export, a directory holding an extracted
+ * export or Pocket's ZIP bundle.
  *
  * Options:
  *   --unread_untagged Don't archive articles without tags, even if marked as archived in Pocket
+ *   --archive-policy <path> JSON or YAML rules deciding which articles are archived
+ *   --resume          Skip rows already imported by a previous run of the same CSV file
+ *   --journal <path>  Checkpoint journal file recording every saved row
+ *   --continue-on-error Record failed rows and keep importing instead of stopping
+ *   --failed-csv <path> CSV file receiving failed rows, ready to be imported again
+ *   --dry-run         Show what would be saved for each row without calling Omnivore
+ *   --report <path>   JSON report of the run with one entry per row
+ *   --no-report       Don't write the JSON run report
+ *   --skip-url-check  Import every URL without checking whether it is still alive
+ *   --url-cache <path> File caching URL checks across runs
+ *   --url-cache-ttl <days> Days a cached URL check stays valid
+ *   --refresh-url-cache Check every URL again, updating the cache
+ *   --prune-url-cache Remove expired checks from the cache file
+ *   --no-url-cache    Check every URL without reading or writing the cache
+ *   --rescue-dead-links Save the Internet Archive copy of dead URLs instead of skipping them
+ *   --archived-copy-label <name> Label of archived copies of dead links
+ *   --wayback-endpoint <url> Wayback Machine availability API
+ *   --concurrency <n> Number of rows processed in parallel
+ *   --max-retries <n> Retries for transient Omnivore errors (network, timeouts, rate limiting, 5xx)
+ *   --skip-existing   Skip rows whose URL is already saved in Omnivore
+ *   --update-existing Update labels and state of rows whose URL is already saved in Omnivore
+ *   --annotations <path> Pocket annotations JSON file or folder, besides those found in the export
+ *   --unmatched-highlights <path> CSV file receiving the highlights that could not be imported
+ *   --skip-highlights Don't import Pocket highlights
+ *   --tag-mapping <path> JSON or YAML rules renaming, merging, dropping and coloring tags
+ *   --tag-hierarchy <mode> Import nested tags such as work/frontend as one label (flat), a label per level (expand) or the last level (leaf)
+ *   --tag-separators <chars> Characters separating nested tag levels
+ *   --label-pocket-import Add the pocket-import label to every article
+ *   --label-import-date Add an imported-<YYYY-MM-DD> label with the date of the import
+ *   --label-saved-year Add a saved-<year> label with the year the article was saved to Pocket
+ *   --label-domain    Add a label with the domain of the article
+ *   --label-favorite  Add the pocket-favorite label to articles favorited in Pocket
+ *   --favorite-label <name> Label of articles favorited in Pocket, implies --label-favorite
+ *   --title-policy <policy> Give articles their Pocket title: always, if-empty or never
+ *   --since <date>    Only import articles saved from this date (YYYY, YYYY-MM or YYYY-MM-DD)
+ *   --until <date>    Only import articles saved up to this date, included
+ *   --status <status> Only import unread or archive articles
+ *   --tag <tag>       Only import articles with this tag
+ *   --exclude-tag <tag> Skip articles with this tag
+ *   --domain <domain> Only import articles from this domain or its subdomains
+ *   --exclude-domain <domain> Skip articles from this domain or its subdomains
+ *   --log-format <format> Console output: pretty (default) or json, one object per event
+ *   --log-file <path> File every log event is appended to, as JSON lines
+ *   --quiet           Only log warnings and errors
+ *   --verbose         Also log debug events, such as each URL check and save
+ *
+ * The audit command checks every URL of the export without importing anything
+ * and writes a link rot report. It takes --concurrency, the URL cache and the
+ * logging options, and:
+ *   --audit-csv <path>  CSV report with the state of each link
+ *   --audit-json <path> JSON report with the summary and each link
  *
  * Environment Variables:
- * - OMNIVORE_API_KEY: Your Omnivore API key (required)
+ * - OMNIVORE_API_KEY: Your Omnivore API key (required, except for the audit command)
  * - OMNIVORE_BASE_URL: Base URL for your Omnivore instance (optional, defaults to https://api-prod.omnivore.app)
+ * - NO_COLOR: Disable colors in the pretty output
  */
 
 import { PocketToOmnivoreImporter } from './src/importer.js';
 import { CLI } from './src/cli.js';
 import { Logger } from './src/logger.js';
 
+/**
+ * Check the URLs of an export and write the link rot report
+ * @param {Object} options - Parsed CLI options
+ */
+async function runAudit(options) {
+    Logger.info('Starting Pocket link audit');
+    CLI.logUrlCheckOptions(options);
+
+    // The audit never calls Omnivore, so it runs without an API key
+    const importer = new PocketToOmnivoreImporter(undefined, process.env.OMNIVORE_BASE_URL, {
+        concurrency: options.concurrency,
+        urlCachePath: options.noUrlCache ? null : options.urlCacheFile,
+        urlCacheTtlDays: options.urlCacheTtl,
+        refreshUrlCache: options.refreshUrlCache,
+        pruneUrlCache: options.pruneUrlCache,
+        auditCsvPath: options.auditCsvFile,
+        auditJsonPath: options.auditJsonFile
+    });
+    await importer.auditLinks(options.inputFiles);
+}
+
 /**
  * Main function
  */
@@ -24,6 +101,13 @@ async function main() {
     try {
         // Parse command line arguments
         const options = CLI.parseArgs(process.argv.slice(2));
+        CLI.configureLogging(options);
+
+        if (options.command === 'audit') {
+            await runAudit(options);
+            Logger.success('Audit completed successfully!');
+            process.exit(0);
+        }
 
         // Validate environment variables
         const config = CLI.validateEnvironment();
@@ -32,11 +116,56 @@ async function main() {
         CLI.logStartup(config, options);
 
         // Create importer and run
+        let existingItems = null;
+        if (options.skipExisting) {
+            existingItems = 'skip';
+        } else if (options.updateExisting) {
+            existingItems = 'update';
+        }
+
         const importer = new PocketToOmnivoreImporter(config.apiKey, config.baseUrl, {
-            unreadUntagged: options.unreadUntagged
+            unreadUntagged: options.unreadUntagged,
+            journalPath: options.journalFile,
+            resume: options.resume,
+            continueOnError: options.continueOnError,
+            failedRowsPath: options.failedCsvFile,
+            dryRun: options.dryRun,
+            writeReport: !options.noReport,
+            reportPath: options.reportFile,
+            checkUrls: !options.skipUrlCheck,
+            concurrency: options.concurrency,
+            maxRetries: options.maxRetries,
+            existingItems,
+            importHighlights: !options.skipHighlights,
+            annotationsPath: options.annotationsFile,
+            unmatchedHighlightsPath: options.unmatchedHighlightsFile,
+            tagMappingPath: options.tagMappingFile,
+            tagHierarchy: options.tagHierarchy,
+            tagSeparators: options.tagSeparators,
+            autoLabels: options.autoLabels,
+            labelFavorites: !options.noLabelFavorite,
+            favoriteLabel: options.favoriteLabel,
+            titlePolicy: options.titlePolicy,
+            archivePolicyPath: options.archivePolicyFile,
+            urlCachePath: options.noUrlCache ? null : options.urlCacheFile,
+            urlCacheTtlDays: options.urlCacheTtl,
+            refreshUrlCache: options.refreshUrlCache,
+            pruneUrlCache: options.pruneUrlCache,
+            rescueDeadLinks: options.rescueDeadLinks,
+            waybackEndpoint: options.waybackEndpoint,
+            archivedCopyLabel: options.archivedCopyLabel,
+            filters: {
+                since: options.since,
+                until: options.until,
+                statuses: options.statuses,
+                tags: options.tags,
+                excludeTags: options.excludeTags,
+                domains: options.domains,
+                excludeDomains: options.excludeDomains
+            }
         });
 
-        await importer.importFromCsv(options.csvFile);
+        await importer.importFromCsv(options.inputFiles);
         Logger.success('Script completed successfully!');
         process.exit(0);
     } catch (error) {
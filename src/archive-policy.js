@@ -0,0 +1,193 @@
+import { ConfigFile } from './config-file.js';
+import { RowFilter } from './row-filter.js';
+
+// What a rule does with an article: archive it, keep it unread, or follow its Pocket status
+const ACTIONS = ['archive', 'unread', 'pocket'];
+
+// Ages of the olderThan and newerThan conditions, e.g. 30d, 6w, 18m or 2y
+const DURATION_PATTERN = /^(\d+)\s*([dwmy])$/i;
+
+// Conditions a rule can test, and how each one is checked against a row
+const CONDITIONS = {
+    status: (row, statuses) => statuses.includes(row.status),
+    tag: (row, tags) => row.tags.some(tag => tags.includes(tag.toLowerCase())),
+    untagged: (row, untagged) => (row.tags.length === 0) === untagged,
+    olderThan: (row, cutoff) => RowFilter.getTimeAdded({ time_added: row.timeAdded }) < cutoff,
+    newerThan: (row, cutoff) => RowFilter.getTimeAdded({ time_added: row.timeAdded }) >= cutoff,
+    domain: (row, domains) => RowFilter.isFromAnyDomain(row, domains),
+    archivedCopy: (row, archivedCopy) => Boolean(row.archivedCopy) === archivedCopy
+};
+
+export class ArchivePolicy {
+    static get ACTIONS() {
+        return ACTIONS;
+    }
+
+    /**
+     * Create a policy deciding, row by row, whether an article is archived in Omnivore
+     *
+     * Rules are tried in order and the first one whose conditions all match
+     * decides; rows matching no rule get the default action. For example:
+     * - when: { tag: reference }, action: unread       never archives reference articles
+     * - when: { olderThan: 2y }, action: archive        archives everything saved over two years ago
+     * - action: unread                                  keeps every article unread
+     * @param {Object} [config] - Parsed policy file
+     * @param {Array<Object>} [config.rules] - Rules with their conditions ("when"), action and optional name
+     * @param {string} [config.default='pocket'] - Action of rows matching no rule
+     * @param {Object} [options] - Policy options
+     * @param {boolean} [options.unreadUntagged] - Keep archived articles without tags unread, before any other rule
+     * @param {Date} [options.now] - Date the olderThan and newerThan ages are counted from
+     */
+    constructor(
+        { rules = [], default: defaultAction = 'pocket' } = {},
+        { unreadUntagged = false, now = new Date() } = {}
+    ) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Invalid archive policy: "rules" must be a list');
+        }
+
+        const allRules = unreadUntagged
+            ? [{ name: '--unread_untagged', when: { status: 'archive', untagged: true }, action: 'unread' }, ...rules]
+            : rules;
+        this.now = now;
+        this.rules = allRules.map((rule, index) => this.compileRule(rule, index + 1));
+        this.defaultRule = {
+            description: `default: ${ArchivePolicy.validateAction(defaultAction, 'default')}`,
+            action: defaultAction,
+            conditions: [],
+            hits: 0
+        };
+    }
+
+    /**
+     * Load a JSON or YAML policy file
+     * @param {string} filePath - Path to the policy file (.json, .yaml or .yml)
+     * @param {Object} [options] - Policy options, see the constructor
+     * @returns {Promise<ArchivePolicy>} Policy applying the rules of the file
+     */
+    static async load(filePath, options) {
+        return new ArchivePolicy(await ConfigFile.load(filePath, 'archive policy'), options);
+    }
+
+    /**
+     * Check the action of a rule
+     * @param {string} action - 'archive', 'unread' or 'pocket'
+     * @param {string} context - Where the action comes from, for error reporting
+     * @returns {string} The action
+     */
+    static validateAction(action, context) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(
+                `Invalid archive policy: ${context} action "${action}" must be one of ${ACTIONS.join(', ')}`
+            );
+        }
+        return action;
+    }
+
+    /**
+     * Convert an age such as 2y into the timestamp it reaches back to
+     * @param {string} age - Number of days (d), weeks (w), months (m) or years (y)
+     * @param {string} context - Rule being compiled, for error reporting
+     * @returns {number} Timestamp in milliseconds
+     */
+    parseAge(age, context) {
+        const match = DURATION_PATTERN.exec(String(age).trim());
+        if (!match) {
+            throw new Error(`Invalid archive policy: ${context} age "${age}" must look like 30d, 6w, 18m or 2y`);
+        }
+
+        const amount = Number(match[1]);
+        const cutoff = new Date(this.now);
+        const unit = match[2].toLowerCase();
+        if (unit === 'y') {
+            cutoff.setUTCFullYear(cutoff.getUTCFullYear() - amount);
+        } else if (unit === 'm') {
+            cutoff.setUTCMonth(cutoff.getUTCMonth() - amount);
+        } else {
+            cutoff.setUTCDate(cutoff.getUTCDate() - amount * (unit === 'w' ? 7 : 1));
+        }
+        return cutoff.getTime();
+    }
+
+    /**
+     * Validate a rule and prepare its conditions
+     * @param {Object} rule - Rule from the policy file
+     * @param {number} number - Position of the rule, starting at 1
+     * @returns {Object} Compiled rule with its description and hit count
+     */
+    compileRule(rule, number) {
+        const context = `rule ${number}`;
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Invalid archive policy: ${context} must be an object`);
+        }
+
+        const action = ArchivePolicy.validateAction(rule.action, context);
+        const when = rule.when ?? {};
+        const conditions = Object.entries(when).map(([name, value]) => this.compileCondition(name, value, context));
+        const summary = Object.entries(when)
+            .map(([name, value]) => `${name} ${[].concat(value).join(',')}`)
+            .join(', ');
+
+        return {
+            description: `#${number} ${rule.name || summary || 'always'} → ${action}`,
+            action,
+            conditions,
+            hits: 0
+        };
+    }
+
+    /**
+     * Validate a rule condition
+     * @param {string} name - Condition name, a key of CONDITIONS
+     * @param {*} value - Condition value from the policy file
+     * @param {string} context - Rule being compiled, for error reporting
+     * @returns {Object} Condition with the value it is checked against
+     */
+    compileCondition(name, value, context) {
+        if (!Object.hasOwn(CONDITIONS, name)) {
+            throw new Error(
+                `Invalid archive policy: ${context} has an unknown condition "${name}", expected one of ${Object.keys(CONDITIONS).join(', ')}`
+            );
+        }
+
+        let expected;
+        if (name === 'olderThan' || name === 'newerThan') {
+            expected = this.parseAge(value, context);
+        } else if (name === 'untagged' || name === 'archivedCopy') {
+            expected = value === true;
+        } else {
+            expected = [].concat(value).map(item => String(item).toLowerCase());
+        }
+        return { check: CONDITIONS[name], expected };
+    }
+
+    /**
+     * Decide whether the article of a row is archived
+     * @param {Object} row - Row details
+     * @param {string} row.status - Pocket status, 'archive' for archived articles
+     * @param {Array<string>} [row.tags] - Names of the labels made from the Pocket tags
+     * @param {string} [row.timeAdded] - Unix timestamp string of when the article was saved to Pocket
+     * @param {string} [row.url] - Article URL
+     * @param {boolean} [row.archivedCopy] - Whether the article is an archived copy of a dead link
+     * @returns {Object} Whether to archive the article, and the rule that decided
+     */
+    evaluate(row) {
+        const details = { ...row, tags: row.tags ?? [] };
+        const rule =
+            this.rules.find(candidate =>
+                candidate.conditions.every(({ check, expected }) => check(details, expected))
+            ) ?? this.defaultRule;
+
+        rule.hits++;
+        const archive = rule.action === 'pocket' ? row.status === 'archive' : rule.action === 'archive';
+        return { archive, rule: rule.description };
+    }
+
+    /**
+     * Report how many rows each rule decided
+     * @returns {Array<Object>} Rule descriptions with their hit count, in rule order, the default last
+     */
+    getReport() {
+        return [...this.rules, this.defaultRule].map(({ description, hits }) => ({ rule: description, hits }));
+    }
+}
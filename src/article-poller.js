@@ -0,0 +1,43 @@
+export class ArticlePoller {
+    // Omnivore article states: content still being fetched, and the states of articles that
+    // cannot be read. Finished articles are SUCCEEDED, or ARCHIVED when saved as archived.
+    static get PROCESSING_STATE() {
+        return 'PROCESSING';
+    }
+
+    static get FAILED_STATES() {
+        return ['FAILED', 'DELETED', 'CONTENT_NOT_FETCHED'];
+    }
+
+    /**
+     * Create a poller waiting for Omnivore to finish processing saved articles
+     * @param {OmnivoreGraphql} graphql - Omnivore GraphQL client
+     * @param {Object} [options] - Poller options
+     * @param {Function} [options.request] - Wraps each Omnivore request, e.g. to rate limit and retry it
+     * @param {number} [options.pollIntervalMs=2000] - Delay between two checks of an article still processing
+     * @param {number} [options.maxPollAttempts=30] - Checks before giving up on an article still processing
+     */
+    constructor(graphql, { request = operation => operation(), pollIntervalMs = 2000, maxPollAttempts = 30 } = {}) {
+        this.graphql = graphql;
+        this.request = request;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxPollAttempts = maxPollAttempts;
+    }
+
+    /**
+     * Wait until Omnivore has finished processing an article
+     * @param {string} articleId - Omnivore item id
+     * @returns {Promise<Object>} Article with its final state, in the 'PROCESSING' state if it did not finish in time
+     */
+    async waitForArticle(articleId) {
+        for (let attempt = 1; ; attempt++) {
+            const article = await this.request(() => this.graphql.getArticle(articleId));
+            const state = article?.state || ArticlePoller.PROCESSING_STATE;
+
+            if (state !== ArticlePoller.PROCESSING_STATE || attempt >= this.maxPollAttempts) {
+                return { ...article, id: articleId, state };
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+}
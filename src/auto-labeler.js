@@ -0,0 +1,97 @@
+import { TagProcessor } from './tag-processor.js';
+import { UrlUtils } from './url-utils.js';
+
+// Generators of labels derived from the metadata of a row, in the order their labels are added
+const GENERATORS = {
+    'pocket-import': () => ({ name: 'pocket-import', description: 'Imported from Pocket' }),
+    'import-date': (row, { importDate }) => ({
+        name: `imported-${importDate.toISOString().slice(0, 10)}`,
+        description: 'Date of the Pocket import'
+    }),
+    'saved-year': ({ timeAdded }) => {
+        const seconds = parseInt(timeAdded, 10);
+        if (isNaN(seconds)) {
+            return null;
+        }
+        return { name: `saved-${new Date(seconds * 1000).getUTCFullYear()}`, description: 'Year saved to Pocket' };
+    },
+    domain: ({ url }) => {
+        const domain = UrlUtils.getDomain(url);
+        return domain ? { name: domain, description: 'Source domain' } : null;
+    },
+    favorite: ({ favorite }, { favoriteLabel }) =>
+        favorite ? { name: favoriteLabel, description: 'Favorited in Pocket' } : null,
+    'archived-copy': ({ archivedCopy }, { archivedCopyLabel }) =>
+        archivedCopy ? { name: archivedCopyLabel, description: 'Internet Archive copy of a dead link' } : null
+};
+
+export class AutoLabeler {
+    static get GENERATORS() {
+        return Object.keys(GENERATORS);
+    }
+
+    static get DEFAULT_FAVORITE_LABEL() {
+        return 'pocket-favorite';
+    }
+
+    static get DEFAULT_ARCHIVED_COPY_LABEL() {
+        return 'archived-copy';
+    }
+
+    /**
+     * Create a labeler adding generated labels to the user's own tags
+     *
+     * Omnivore has no favorite or starred state for library items, so Pocket
+     * favorites are kept as a label.
+     * @param {Array<string>} [generators] - Enabled generators, see GENERATORS
+     * @param {Object} [options] - Labeler options
+     * @param {Date} [options.importDate] - Date of the import, for the import-date label
+     * @param {string} [options.favoriteLabel] - Name of the label of favorited articles
+     * @param {string} [options.archivedCopyLabel] - Name of the label of archived copies saved instead of dead links
+     */
+    constructor(
+        generators = [],
+        {
+            importDate = new Date(),
+            favoriteLabel = AutoLabeler.DEFAULT_FAVORITE_LABEL,
+            archivedCopyLabel = AutoLabeler.DEFAULT_ARCHIVED_COPY_LABEL
+        } = {}
+    ) {
+        for (const generator of generators) {
+            if (!Object.hasOwn(GENERATORS, generator)) {
+                throw new Error(
+                    `Unknown automatic label "${generator}", expected one of ${AutoLabeler.GENERATORS.join(', ')}`
+                );
+            }
+        }
+        this.generators = AutoLabeler.GENERATORS.filter(generator => generators.includes(generator));
+        this.importDate = importDate;
+        this.favoriteLabel = favoriteLabel;
+        this.archivedCopyLabel = archivedCopyLabel;
+    }
+
+    /**
+     * Check if a generator is enabled
+     * @param {string} generator - Generator name
+     * @returns {boolean} True if the generator adds its labels
+     */
+    isEnabled(generator) {
+        return this.generators.includes(generator);
+    }
+
+    /**
+     * Generate the labels of a row
+     * @param {Object} row - Validated row
+     * @param {string} row.url - Article URL
+     * @param {string} row.timeAdded - Unix timestamp string of when the article was saved to Pocket
+     * @param {boolean} row.favorite - Whether the article was favorited in Pocket
+     * @param {boolean} [row.archivedCopy] - Whether an archived copy of the dead article is saved
+     * @returns {Array<Object>} Label objects, empty if no generator is enabled
+     */
+    createLabels(row) {
+        return this.generators
+            .map(generator => GENERATORS[generator](row, this))
+            .filter(Boolean)
+            .map(({ name, description }) => ({ name, color: TagProcessor.getLabelColor(name), description }));
+    }
+}
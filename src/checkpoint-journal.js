@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+
+export class CheckpointJournal {
+    static get DEFAULT_PATH() {
+        return '.pocket-import-journal.jsonl';
+    }
+
+    /**
+     * Create a journal of rows already saved to Omnivore
+     * @param {string} journalPath - Path to the journal file (one JSON entry per line)
+     * @param {string|Array<string>} csvFilePath - Export file or files the recorded rows belong to
+     */
+    constructor(journalPath, csvFilePath) {
+        this.journalPath = journalPath;
+        this.source = []
+            .concat(csvFilePath)
+            .map(filePath => path.resolve(filePath))
+            .join('|');
+        this.completedUrls = new Map();
+    }
+
+    /**
+     * Parse a single journal line, ignoring blank or truncated lines
+     * @param {string} line - Raw journal line
+     * @returns {Object|null} Journal entry or null if the line is not valid
+     */
+    static parseEntry(line) {
+        if (!line.trim()) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(line);
+        } catch {
+            // A crash while appending can leave a partial last line behind
+            return null;
+        }
+    }
+
+    /**
+     * Read all journal lines from disk
+     * @returns {Array<string>} Journal lines
+     */
+    readLines() {
+        if (!fs.existsSync(this.journalPath)) {
+            return [];
+        }
+        return fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    }
+
+    /**
+     * Load the entries recorded for this CSV file
+     * @returns {number} Number of rows already imported
+     */
+    load() {
+        this.completedUrls.clear();
+
+        for (const line of this.readLines()) {
+            const entry = CheckpointJournal.parseEntry(line);
+            if (entry && entry.source === this.source) {
+                this.completedUrls.set(entry.url, entry.id);
+            }
+        }
+
+        return this.completedUrls.size;
+    }
+
+    /**
+     * Forget the entries recorded for this CSV file, keeping entries of other files
+     */
+    reset() {
+        const lines = this.readLines();
+        this.completedUrls.clear();
+
+        if (lines.length === 0) {
+            return;
+        }
+
+        const kept = lines.filter(line => {
+            const entry = CheckpointJournal.parseEntry(line);
+            return entry && entry.source !== this.source;
+        });
+        fs.writeFileSync(this.journalPath, kept.map(line => `${line}\n`).join(''));
+    }
+
+    /**
+     * Check if a row URL was already imported
+     * @param {string} url - Row URL
+     * @returns {boolean} True if the URL is recorded in the journal
+     */
+    has(url) {
+        return this.completedUrls.has(url);
+    }
+
+    /**
+     * Get the Omnivore item id recorded for a row URL
+     * @param {string} url - Row URL
+     * @returns {string|undefined} Omnivore item id
+     */
+    get(url) {
+        return this.completedUrls.get(url);
+    }
+
+    /**
+     * Record a successfully saved row
+     * @param {string} url - Row URL
+     * @param {string} id - Omnivore item id
+     */
+    record(url, id) {
+        const entry = {
+            source: this.source,
+            url,
+            id,
+            savedAt: new Date().toISOString()
+        };
+
+        fs.appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`);
+        this.completedUrls.set(url, id);
+    }
+}
@@ -1,61 +1,439 @@
 import { Logger } from './logger.js';
+import { CheckpointJournal } from './checkpoint-journal.js';
+import { TagProcessor } from './tag-processor.js';
+import { TitleRestorer } from './title-restorer.js';
+import { RowFilter } from './row-filter.js';
+import { AutoLabeler } from './auto-labeler.js';
+import { WaybackClient } from './wayback-client.js';
+import { LivenessCache } from './liveness-cache.js';
+
+// Boolean flags and the option they enable
+const FLAG_OPTIONS = {
+    '--unread_untagged': 'unreadUntagged',
+    '--resume': 'resume',
+    '--continue-on-error': 'continueOnError',
+    '--dry-run': 'dryRun',
+    '--skip-url-check': 'skipUrlCheck',
+    '--skip-existing': 'skipExisting',
+    '--update-existing': 'updateExisting',
+    '--skip-highlights': 'skipHighlights',
+    '--rescue-dead-links': 'rescueDeadLinks',
+    '--refresh-url-cache': 'refreshUrlCache',
+    '--prune-url-cache': 'pruneUrlCache',
+    '--no-url-cache': 'noUrlCache',
+    '--no-report': 'noReport',
+    '--no-label-favorite': 'noLabelFavorite',
+    '--quiet': 'quiet',
+    '--verbose': 'verbose'
+};
+
+// Flags enabling an automatic label and the AutoLabeler generator they enable
+const AUTO_LABEL_FLAGS = {
+    '--label-pocket-import': 'pocket-import',
+    '--label-import-date': 'import-date',
+    '--label-saved-year': 'saved-year',
+    '--label-domain': 'domain',
+    '--label-favorite': 'favorite'
+};
+
+// Options followed by a value, the option they set and how the value is parsed
+const VALUE_OPTIONS = {
+    '--journal': { key: 'journalFile' },
+    '--failed-csv': { key: 'failedCsvFile' },
+    '--concurrency': { key: 'concurrency', type: 'integer' },
+    '--max-retries': { key: 'maxRetries', type: 'integer', min: 0 },
+    '--annotations': { key: 'annotationsFile' },
+    '--unmatched-highlights': { key: 'unmatchedHighlightsFile' },
+    '--tag-mapping': { key: 'tagMappingFile' },
+    '--tag-hierarchy': { key: 'tagHierarchy', choices: TagProcessor.HIERARCHY_MODES },
+    '--tag-separators': { key: 'tagSeparators' },
+    '--favorite-label': { key: 'favoriteLabel' },
+    '--title-policy': { key: 'titlePolicy', choices: TitleRestorer.POLICIES },
+    '--archive-policy': { key: 'archivePolicyFile' },
+    '--wayback-endpoint': { key: 'waybackEndpoint' },
+    '--url-cache': { key: 'urlCacheFile' },
+    '--url-cache-ttl': { key: 'urlCacheTtl', type: 'integer' },
+    '--archived-copy-label': { key: 'archivedCopyLabel' },
+    '--report': { key: 'reportFile' },
+    '--log-format': { key: 'logFormat', choices: Logger.FORMATS },
+    '--log-file': { key: 'logFile' },
+    '--audit-csv': { key: 'auditCsvFile' },
+    '--audit-json': { key: 'auditJsonFile' },
+    '--since': { key: 'since', type: 'date' },
+    '--until': { key: 'until', type: 'date' },
+    '--status': { key: 'statuses', type: 'list', choices: ['unread', 'archive'] },
+    '--tag': { key: 'tags', type: 'list' },
+    '--exclude-tag': { key: 'excludeTags', type: 'list' },
+    '--domain': { key: 'domains', type: 'list' },
+    '--exclude-domain': { key: 'excludeDomains', type: 'list' }
+};
+
+// Options of the audit command, which checks the URLs of an export without importing it
+const AUDIT_OPTIONS = [
+    '--concurrency',
+    '--url-cache',
+    '--url-cache-ttl',
+    '--refresh-url-cache',
+    '--prune-url-cache',
+    '--no-url-cache',
+    '--audit-csv',
+    '--audit-json',
+    '--log-format',
+    '--log-file',
+    '--quiet',
+    '--verbose',
+    '--help',
+    '-h'
+];
 
 export class CLI {
     /**
      * Parse command line arguments
-     * @param {Array} args - Command line arguments (usually process.argv.slice(2))
-     * @returns {Object} Parsed options
+     * @param {Array} args - Command line arguments (usually process.argv.slice(2)), starting
+     *   with audit to check the URLs of an export instead of importing it
+     * @returns {Object} Parsed options, with the command to run ('import' or 'audit')
      */
     static parseArgs(args) {
+        const command = args[0] === 'audit' ? 'audit' : 'import';
         const options = {
+            command,
             unreadUntagged: false,
-            csvFile: null
+            resume: false,
+            journalFile: CheckpointJournal.DEFAULT_PATH,
+            continueOnError: false,
+            failedCsvFile: null,
+            dryRun: false,
+            skipUrlCheck: false,
+            concurrency: 1,
+            maxRetries: 3,
+            skipExisting: false,
+            updateExisting: false,
+            skipHighlights: false,
+            annotationsFile: null,
+            unmatchedHighlightsFile: null,
+            tagMappingFile: null,
+            tagHierarchy: 'flat',
+            tagSeparators: TagProcessor.DEFAULT_TAG_SEPARATORS,
+            autoLabels: [],
+            noLabelFavorite: false,
+            favoriteLabel: null,
+            titlePolicy: 'never',
+            archivePolicyFile: null,
+            urlCacheFile: LivenessCache.DEFAULT_PATH,
+            urlCacheTtl: LivenessCache.DEFAULT_TTL_DAYS,
+            refreshUrlCache: false,
+            pruneUrlCache: false,
+            noUrlCache: false,
+            rescueDeadLinks: false,
+            waybackEndpoint: null,
+            archivedCopyLabel: null,
+            reportFile: null,
+            noReport: false,
+            logFormat: 'pretty',
+            logFile: null,
+            quiet: false,
+            verbose: false,
+            auditCsvFile: null,
+            auditJsonFile: null,
+            since: null,
+            until: null,
+            statuses: [],
+            tags: [],
+            excludeTags: [],
+            domains: [],
+            excludeDomains: [],
+            csvFile: null,
+            inputFiles: []
         };
 
-        for (const element of args) {
-            const arg = element;
+        const pending = command === 'audit' ? args.slice(1) : [...args];
+        while (pending.length > 0) {
+            const arg = pending.shift();
+            this.checkCommandOption(command, arg);
 
-            if (arg === '--unread_untagged') {
-                options.unreadUntagged = true;
+            if (Object.hasOwn(FLAG_OPTIONS, arg)) {
+                options[FLAG_OPTIONS[arg]] = true;
+            } else if (Object.hasOwn(AUTO_LABEL_FLAGS, arg)) {
+                options.autoLabels.push(AUTO_LABEL_FLAGS[arg]);
+            } else if (Object.hasOwn(VALUE_OPTIONS, arg)) {
+                this.setOptionValue(options, arg, this.readOptionValue(pending, arg));
             } else if (arg === '--help' || arg === '-h') {
                 this.showHelp();
                 process.exit(0);
             } else if (!arg.startsWith('--')) {
-                // This should be the CSV file path
-                if (!options.csvFile) {
-                    options.csvFile = arg;
-                } else {
-                    console.error('Error: Multiple CSV files specified');
-                    process.exit(1);
-                }
+                // An export file, directory or ZIP bundle; several parts can be imported at once
+                options.inputFiles.push(arg);
+                options.csvFile ??= arg;
             } else {
                 console.error(`Error: Unknown option ${arg}`);
                 process.exit(1);
             }
         }
 
+        this.checkOptionConflicts(options);
+        return options;
+    }
+
+    /**
+     * Check options that cannot be used together and the required export path, exiting on error
+     * @param {Object} options - Parsed options
+     */
+    static checkOptionConflicts(options) {
+        if (options.skipExisting && options.updateExisting) {
+            console.error('Error: --skip-existing and --update-existing cannot be used together');
+            process.exit(1);
+        }
+
+        if (options.quiet && options.verbose) {
+            console.error('Error: --quiet and --verbose cannot be used together');
+            process.exit(1);
+        }
+
+        if (options.noLabelFavorite && (options.favoriteLabel || options.autoLabels.includes('favorite'))) {
+            console.error('Error: --no-label-favorite cannot be used with --label-favorite or --favorite-label');
+            process.exit(1);
+        }
+
+        if (options.rescueDeadLinks && options.skipUrlCheck) {
+            console.error('Error: --rescue-dead-links needs the URL check and cannot be used with --skip-url-check');
+            process.exit(1);
+        }
+
         if (!options.csvFile) {
             console.error('Error: CSV file path is required');
-            console.error('Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>');
+            console.error(
+                options.command === 'audit'
+                    ? 'Usage: node import-pocket-to-omnivore.js audit [options] <csv_file_path>...'
+                    : 'Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>...'
+            );
             process.exit(1);
         }
+    }
 
-        return options;
+    /**
+     * Check that an option belongs to the command being run, exiting if it does not
+     * @param {string} command - 'import' or 'audit'
+     * @param {string} arg - Command line argument
+     */
+    static checkCommandOption(command, arg) {
+        if (!arg.startsWith('-')) {
+            return;
+        }
+        if (command === 'audit' && !AUDIT_OPTIONS.includes(arg) && this.isKnownOption(arg)) {
+            console.error(`Error: Option ${arg} cannot be used with the audit command`);
+            process.exit(1);
+        }
+        if (command === 'import' && (arg === '--audit-csv' || arg === '--audit-json')) {
+            console.error(`Error: Option ${arg} can only be used with the audit command`);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Check if an argument is an option of either command
+     * @param {string} arg - Command line argument
+     * @returns {boolean} True for flags and value options, false for unknown options
+     */
+    static isKnownOption(arg) {
+        return [FLAG_OPTIONS, AUTO_LABEL_FLAGS, VALUE_OPTIONS].some(known => Object.hasOwn(known, arg));
+    }
+
+    /**
+     * Set the option a value option stands for
+     * @param {Object} options - Parsed options
+     * @param {string} option - Option name, a key of VALUE_OPTIONS
+     * @param {string} rawValue - Value following the option
+     */
+    static setOptionValue(options, option, rawValue) {
+        const spec = VALUE_OPTIONS[option];
+        const value = this.convertOptionValue(rawValue, spec, option);
+        // List options can be repeated, each value adding to the list
+        options[spec.key] = spec.type === 'list' ? options[spec.key].concat(value) : value;
+    }
+
+    /**
+     * Consume the value following an option, exiting if it is missing
+     * @param {Array} pending - Remaining command line arguments
+     * @param {string} option - Option name for error reporting
+     * @returns {string} Option value
+     */
+    static readOptionValue(pending, option) {
+        const value = pending.shift();
+        if (value === undefined || value.startsWith('--')) {
+            console.error(`Error: Option ${option} requires a value`);
+            process.exit(1);
+        }
+        return value;
+    }
+
+    /**
+     * Convert an option value to the type the option expects, exiting if it is invalid
+     * @param {string} value - Raw option value
+     * @param {Object} spec - Option specification from VALUE_OPTIONS
+     * @param {string} option - Option name for error reporting
+     * @returns {*} Converted value
+     */
+    static convertOptionValue(value, spec, option) {
+        if (spec.type === 'integer') {
+            const number = Number(value);
+            const min = spec.min ?? 1;
+            if (!Number.isInteger(number) || number < min) {
+                console.error(`Error: Option ${option} expects an integer of at least ${min}, got "${value}"`);
+                process.exit(1);
+            }
+            return number;
+        }
+        if (spec.type === 'date') {
+            try {
+                RowFilter.parseDate(value, 'start');
+            } catch (error) {
+                console.error(`Error: Option ${option}: ${error.message}`);
+                process.exit(1);
+            }
+            return value;
+        }
+        if (spec.type === 'list') {
+            return value
+                .split(',')
+                .map(item => item.trim())
+                .filter(item => item.length > 0)
+                .map(item => this.checkChoice(item, spec, option));
+        }
+        return this.checkChoice(value, spec, option);
+    }
+
+    /**
+     * Check that a value is one of the choices of its option, exiting if it is not
+     * @param {string} value - Option value
+     * @param {Object} spec - Option specification from VALUE_OPTIONS, any value is accepted without choices
+     * @param {string} option - Option name for error reporting
+     * @returns {string} The value
+     */
+    static checkChoice(value, spec, option) {
+        if (spec.choices && !spec.choices.includes(value)) {
+            console.error(`Error: Option ${option} expects one of ${spec.choices.join(', ')}, got "${value}"`);
+            process.exit(1);
+        }
+        return value;
     }
 
     /**
      * Show help message
      */
     static showHelp() {
-        console.log('Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>');
+        console.log('Usage: node import-pocket-to-omnivore.js [options] <csv_file_path>...');
+        console.log('       node import-pocket-to-omnivore.js audit [options] <csv_file_path>...');
+        console.log('');
+        console.log("The export file can be Pocket's CSV export or its older HTML export (ril_export.html).");
+        console.log("Several CSV parts, a directory holding an extracted export or Pocket's ZIP bundle can");
+        console.log('also be given; a URL found in more than one part is imported once.');
         console.log('');
         console.log('Options:');
         console.log("  --unread_untagged    Don't archive articles without tags, even if marked as archived in Pocket");
+        console.log('  --archive-policy <path>');
+        console.log(
+            '                       JSON or YAML rules deciding which articles are archived (default: as in Pocket)'
+        );
+        console.log('  --resume             Skip rows already imported by a previous run of the same CSV file');
+        console.log(`  --journal <path>     Checkpoint journal file (default: ${CheckpointJournal.DEFAULT_PATH})`);
+        console.log('  --continue-on-error  Record failed rows and keep importing instead of stopping');
+        console.log('  --failed-csv <path>  CSV file receiving failed rows (default: <csv name>-failed.csv)');
+        console.log('  --dry-run            Show what would be saved for each row without calling Omnivore');
+        console.log(
+            '  --report <path>      JSON report of the run and its rows not saved (default: <csv name>-report.json)'
+        );
+        console.log("  --no-report          Don't write the JSON run report");
+        console.log('  --skip-url-check     Import every URL without checking whether it is still alive');
+        console.log(
+            `  --url-cache <path>   File caching URL checks across runs (default: ${LivenessCache.DEFAULT_PATH})`
+        );
+        console.log(
+            `  --url-cache-ttl <days> Days a cached URL check stays valid (default: ${LivenessCache.DEFAULT_TTL_DAYS})`
+        );
+        console.log('  --refresh-url-cache  Check every URL again, updating the cache');
+        console.log('  --prune-url-cache    Remove expired checks from the cache file before importing');
+        console.log('  --no-url-cache       Check every URL without reading or writing the cache');
+        console.log(
+            '  --rescue-dead-links  Save the Internet Archive copy of dead URLs closest to when they were saved'
+        );
+        console.log('  --archived-copy-label <name>');
+        console.log(
+            `                       Label of archived copies (default: ${AutoLabeler.DEFAULT_ARCHIVED_COPY_LABEL})`
+        );
+        console.log('  --wayback-endpoint <url>');
+        console.log(
+            `                       Wayback Machine availability API (default: ${WaybackClient.DEFAULT_ENDPOINT})`
+        );
+        console.log('  --concurrency <n>    Number of rows processed in parallel (default: 1)');
+        console.log('  --max-retries <n>    Retries for transient Omnivore errors, 0 to disable (default: 3)');
+        console.log('  --skip-existing      Skip rows whose URL is already saved in Omnivore');
+        console.log('  --update-existing    Update labels and state of rows whose URL is already saved in Omnivore');
+        console.log('  --annotations <path> Pocket annotations JSON file or folder (default: found in the export)');
+        console.log('  --unmatched-highlights <path>');
+        console.log(
+            '                       CSV file receiving highlights not imported (default: <csv name>-unmatched-highlights.csv)'
+        );
+        console.log("  --skip-highlights    Don't import Pocket highlights");
+        console.log('  --tag-mapping <path> JSON or YAML rules renaming, merging, dropping and coloring tags');
+        console.log('  --tag-hierarchy <mode>');
+        console.log('                       Nested tags such as work/frontend/react: flat (one label, default),');
+        console.log('                       expand (a label per path prefix) or leaf (last level only)');
+        console.log(
+            `  --tag-separators <chars> Characters separating nested tag levels (default: ${TagProcessor.DEFAULT_TAG_SEPARATORS})`
+        );
+        console.log('  --label-pocket-import Add the pocket-import label to every article');
+        console.log('  --label-import-date  Add an imported-<YYYY-MM-DD> label with the date of the import');
+        console.log('  --label-saved-year   Add a saved-<year> label with the year the article was saved to Pocket');
+        console.log('  --label-domain       Add a label with the domain of the article, e.g. example.com');
+        console.log('  --label-favorite     Add the pocket-favorite label to articles favorited in Pocket (default)');
+        console.log('  --no-label-favorite  Import favorited articles without a label, dropping their favorite state');
+        console.log('  --favorite-label <name>');
+        console.log('                       Label of articles favorited in Pocket (default: pocket-favorite)');
+        console.log('  --title-policy <policy>');
+        console.log('                       Give articles their Pocket title: always, if-empty (when Omnivore');
+        console.log('                       found none) or never (default)');
+        console.log('  --since <date>       Only import articles saved from this date (YYYY, YYYY-MM or YYYY-MM-DD)');
+        console.log('  --until <date>       Only import articles saved up to this date, included');
+        console.log('  --status <status>    Only import unread or archive articles');
+        console.log('  --tag <tag>          Only import articles with this tag');
+        console.log('  --exclude-tag <tag>  Skip articles with this tag');
+        console.log('  --domain <domain>    Only import articles from this domain or its subdomains');
+        console.log('  --exclude-domain <domain>');
+        console.log('                       Skip articles from this domain or its subdomains');
+        console.log('                       Filters take comma-separated values and can be repeated');
+        console.log('  --log-format <format> Console output: pretty (default) or json, one object per event');
+        console.log('  --log-file <path>    File every log event is appended to, as JSON lines');
+        console.log('  --quiet              Only log warnings and errors');
+        console.log('  --verbose            Also log debug events, such as each URL check and save');
         console.log('  --help, -h           Show this help message');
         console.log('');
+        console.log('Audit command:');
+        console.log('  Checks every URL of the export without importing anything, and reports the dead links');
+        console.log('  by HTTP status, domain and year saved. It takes --concurrency, the URL cache and the');
+        console.log('  logging options.');
+        console.log('  --audit-csv <path>   CSV report with the state of each link (default: <csv name>-audit.csv)');
+        console.log(
+            '  --audit-json <path>  JSON report with the summary and each link (default: <csv name>-audit.json)'
+        );
+        console.log('');
         console.log('Environment Variables:');
-        console.log('  OMNIVORE_API_KEY     Your Omnivore API key (required)');
+        console.log('  OMNIVORE_API_KEY     Your Omnivore API key (required, except for the audit command)');
         console.log('  OMNIVORE_BASE_URL    Base URL for your Omnivore instance (optional)');
+        console.log('  NO_COLOR             Disable colors in the pretty output');
+    }
+
+    /**
+     * Configure the logger from the logging options
+     * @param {Object} options - CLI options
+     */
+    static configureLogging(options) {
+        let level = 'info';
+        if (options.quiet) {
+            level = 'warn';
+        } else if (options.verbose) {
+            level = 'debug';
+        }
+        Logger.configure({ level, format: options.logFormat, logFile: options.logFile });
     }
 
     /**
@@ -83,10 +461,117 @@ export class CLI {
     static logStartup(config, options) {
         Logger.info('Starting Pocket to Omnivore import script');
         Logger.info(`Omnivore Base URL: ${config.baseUrl || 'https://api-prod.omnivore.app'}`);
-        Logger.info(`CSV File: ${options.csvFile}`);
+        if (options.inputFiles?.length > 1) {
+            Logger.info(`Input Files: ${options.inputFiles.join(', ')}`);
+        } else {
+            Logger.info(`CSV File: ${options.csvFile}`);
+        }
 
         if (options.unreadUntagged) {
             Logger.info('🏷️  Option: --unread_untagged enabled (articles without tags will stay unread)');
         }
+
+        if (options.archivePolicyFile) {
+            Logger.info(`🗄️  Option: --archive-policy enabled (rules: ${options.archivePolicyFile})`);
+        }
+
+        if (options.resume) {
+            Logger.info(`⏩ Option: --resume enabled (journal: ${options.journalFile})`);
+        }
+
+        if (options.continueOnError) {
+            Logger.info('❌ Option: --continue-on-error enabled (failed rows are written to a CSV file for retry)');
+        }
+
+        if (options.dryRun) {
+            Logger.warning('🧪 Option: --dry-run enabled (nothing will be saved to Omnivore)');
+        }
+
+        if (options.concurrency > 1) {
+            Logger.info(`⚡ Option: --concurrency ${options.concurrency} (rows are processed in parallel)`);
+        }
+
+        if (options.skipExisting) {
+            Logger.info('📚 Option: --skip-existing enabled (URLs already in Omnivore will be skipped)');
+        } else if (options.updateExisting) {
+            Logger.info('📚 Option: --update-existing enabled (URLs already in Omnivore will be updated)');
+        }
+
+        this.logUrlCheckOptions(options);
+        this.logTagOptions(options);
+        this.logFilterOptions(options);
+
+        if (options.titlePolicy && options.titlePolicy !== 'never') {
+            Logger.info(`📝 Option: --title-policy ${options.titlePolicy} (articles get their Pocket title back)`);
+        }
+
+        if (options.skipHighlights) {
+            Logger.info("🖍️  Option: --skip-highlights enabled (Pocket highlights won't be imported)");
+        } else if (options.annotationsFile) {
+            Logger.info(`🖍️  Option: --annotations enabled (highlights read from ${options.annotationsFile})`);
+        }
+    }
+
+    /**
+     * Log the options changing what happens to dead links
+     * @param {Object} options - CLI options
+     */
+    static logUrlCheckOptions(options) {
+        if (options.skipUrlCheck) {
+            Logger.info('🔗 Option: --skip-url-check enabled (dead links will be imported too)');
+        }
+
+        if (options.noUrlCache) {
+            Logger.info('💾 Option: --no-url-cache enabled (every URL is checked over the network)');
+        } else if (options.refreshUrlCache) {
+            Logger.info(`💾 Option: --refresh-url-cache enabled (cache: ${options.urlCacheFile})`);
+        }
+
+        if (options.rescueDeadLinks) {
+            Logger.info('🛟 Option: --rescue-dead-links enabled (dead links are saved as Internet Archive copies)');
+        }
+    }
+
+    /**
+     * Log the filters selecting the rows to import
+     * @param {Object} options - CLI options
+     */
+    static logFilterOptions(options) {
+        const filters = [
+            options.since && `saved since ${options.since}`,
+            options.until && `saved until ${options.until}`,
+            options.statuses?.length > 0 && `status ${options.statuses.join(' or ')}`,
+            options.tags?.length > 0 && `tagged ${options.tags.join(' or ')}`,
+            options.excludeTags?.length > 0 && `not tagged ${options.excludeTags.join(' or ')}`,
+            options.domains?.length > 0 && `from ${options.domains.join(' or ')}`,
+            options.excludeDomains?.length > 0 && `not from ${options.excludeDomains.join(' or ')}`
+        ].filter(Boolean);
+
+        if (filters.length > 0) {
+            Logger.info(`🔎 Option: only importing articles ${filters.join(', ')}`);
+        }
+    }
+
+    /**
+     * Log the options changing how tags become labels
+     * @param {Object} options - CLI options
+     */
+    static logTagOptions(options) {
+        if (options.tagMappingFile) {
+            Logger.info(`🔀 Option: --tag-mapping enabled (rules: ${options.tagMappingFile})`);
+        }
+
+        if (options.tagHierarchy && options.tagHierarchy !== 'flat') {
+            const separators = [...options.tagSeparators].map(separator => `"${separator}"`).join(', ');
+            Logger.info(`🌳 Option: --tag-hierarchy ${options.tagHierarchy} (nested tags split on ${separators})`);
+        }
+
+        if (options.autoLabels?.length > 0) {
+            Logger.info(`🏷️  Option: automatic labels enabled (${options.autoLabels.join(', ')})`);
+        }
+
+        if (options.noLabelFavorite) {
+            Logger.info('⭐ Option: --no-label-favorite enabled (Pocket favorites get no label)');
+        }
     }
 }
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+export class ConfigFile {
+    /**
+     * Read a JSON or YAML configuration file
+     * @param {string} filePath - Path to the file, read as YAML if it ends with .yaml or .yml
+     * @param {string} kind - What the file configures, for error reporting, e.g. 'tag mapping'
+     * @returns {Promise<Object>} Parsed content, an empty object for an empty file
+     */
+    static async load(filePath, kind) {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${kind} file ${filePath}: ${error.message}`);
+        }
+
+        try {
+            const extension = path.extname(filePath).toLowerCase();
+            const config = extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+            return config ?? {};
+        } catch (error) {
+            throw new Error(`Invalid ${kind} file ${filePath}: ${error.message}`);
+        }
+    }
+}
@@ -1,6 +1,10 @@
 import { createReadStream } from 'fs';
 import { parse } from 'csv-parse';
 
+// Line feed, and the bytes that do not make a line count as a CSV row: space, tab and carriage return
+const NEWLINE = 0x0a;
+const BLANK_BYTES = new Set([0x20, 0x09, 0x0d]);
+
 export class CsvParser {
     /**
      * Parse CSV file and return rows
@@ -8,36 +12,99 @@ export class CsvParser {
      * @returns {Promise<Array>} Array of parsed rows
      */
     static async parseCsvFile(csvFilePath) {
-        return new Promise((resolve, reject) => {
-            const rows = [];
-            const parser = parse({
-                columns: true,
-                skip_empty_lines: true,
-                trim: true
-            });
-
-            parser.on('readable', () => {
-                let record;
-                while ((record = parser.read())) {
-                    rows.push(record);
-                }
-            });
+        return this.parseCsvStream(createReadStream(csvFilePath));
+    }
 
-            parser.on('error', err => {
-                reject(new Error(`CSV parsing error: ${err.message}`));
-            });
+    /**
+     * Parse CSV content from a readable stream and return rows
+     * @param {Readable} stream - Stream of CSV content
+     * @returns {Promise<Array>} Array of parsed rows
+     */
+    static async parseCsvStream(stream) {
+        const rows = [];
+        for await (const row of this.streamCsv(stream)) {
+            rows.push(row);
+        }
+        return rows;
+    }
 
-            parser.on('end', () => {
-                resolve(rows);
-            });
+    /**
+     * Read the rows of a CSV file one at a time
+     * @param {string} csvFilePath - Path to CSV file
+     * @returns {AsyncGenerator<Object>} Parsed rows, in file order
+     */
+    static streamCsvFile(csvFilePath) {
+        return this.streamCsv(createReadStream(csvFilePath));
+    }
 
-            const stream = createReadStream(csvFilePath);
-            stream.on('error', err => {
-                reject(new Error(`File reading error: ${err.message}`));
-            });
+    /**
+     * Parse CSV content from a readable stream one row at a time
+     *
+     * The stream is only read as fast as rows are consumed, so memory use
+     * does not grow with the size of the file.
+     * @param {Readable} stream - Stream of CSV content
+     * @returns {AsyncGenerator<Object>} Parsed rows, in stream order
+     */
+    static async *streamCsv(stream) {
+        const parser = parse({
+            columns: true,
+            skip_empty_lines: true,
+            trim: true
+        });
 
-            stream.pipe(parser);
+        let readError = null;
+        stream.on('error', err => {
+            readError = new Error(`File reading error: ${err.message}`);
+            parser.destroy(readError);
         });
+        stream.pipe(parser);
+
+        try {
+            for await (const record of parser) {
+                yield record;
+            }
+        } catch (err) {
+            throw readError || new Error(`CSV parsing error: ${err.message}`);
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * Count the rows of CSV content without parsing it
+     *
+     * Counts non-blank lines after the header, so a quoted field spanning
+     * several lines makes the count a slight overestimate.
+     * @param {Readable} stream - Stream of CSV content
+     * @returns {Promise<number>} Approximate number of rows
+     */
+    static async countRows(stream) {
+        let lines = 0;
+        let lineHasContent = false;
+
+        try {
+            for await (const chunk of stream) {
+                for (let i = 0; i < chunk.length; i++) {
+                    const byte = chunk[i];
+                    if (byte === NEWLINE) {
+                        if (lineHasContent) {
+                            lines++;
+                        }
+                        lineHasContent = false;
+                    } else if (!BLANK_BYTES.has(byte)) {
+                        lineHasContent = true;
+                    }
+                }
+            }
+        } catch (err) {
+            throw new Error(`File reading error: ${err.message}`);
+        }
+
+        if (lineHasContent) {
+            lines++;
+        }
+        // The first line is the header
+        return Math.max(0, lines - 1);
     }
 
     /**
@@ -52,6 +119,11 @@ export class CsvParser {
         const timeAdded = (rowData.time_added || '').trim();
         const tags = (rowData.tags || '').trim();
         const status = (rowData.status || '').trim();
+        const favorite = ['1', 'true', 'yes'].includes(
+            String(rowData.favorite ?? '')
+                .trim()
+                .toLowerCase()
+        );
 
         // Validate URL
         if (!url) {
@@ -71,7 +143,8 @@ export class CsvParser {
             url,
             timeAdded,
             tags,
-            status
+            status,
+            favorite
         };
     }
 }
@@ -0,0 +1,40 @@
+import fs from 'fs';
+
+export class CsvWriter {
+    /**
+     * Format a single value as a CSV field, quoting it when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    static formatField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replaceAll('"', '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Format records as CSV text with a header line
+     * @param {Array<string>} columns - Column names, in order
+     * @param {Array<Object>} records - Records keyed by column name
+     * @returns {string} CSV content
+     */
+    static format(columns, records) {
+        const lines = [columns.map(column => this.formatField(column)).join(',')];
+        for (const record of records) {
+            lines.push(columns.map(column => this.formatField(record[column])).join(','));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Write records to a CSV file
+     * @param {string} csvFilePath - Destination path
+     * @param {Array<string>} columns - Column names, in order
+     * @param {Array<Object>} records - Records keyed by column name
+     */
+    static writeFile(csvFilePath, columns, records) {
+        fs.writeFileSync(csvFilePath, this.format(columns, records));
+    }
+}
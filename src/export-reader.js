@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import AdmZip from 'adm-zip';
+import { CsvParser } from './csv-parser.js';
+import { HtmlExportParser } from './html-export-parser.js';
+
+// Files of a directory that are read as export parts
+const EXPORT_EXTENSIONS = new Set(['.csv', '.html', '.htm']);
+
+export class ExportReader {
+    /**
+     * Detect whether an export file is Pocket's CSV export or its older HTML export
+     * @param {string} filePath - Path to the export file
+     * @returns {string} 'html' or 'csv'
+     */
+    static detectFormat(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension === '.html' || extension === '.htm') {
+            return 'html';
+        }
+        if (extension === '.csv') {
+            return 'csv';
+        }
+
+        // Unknown extension, look at the beginning of the file
+        const buffer = Buffer.alloc(256);
+        const fd = fs.openSync(filePath, 'r');
+        let bytesRead;
+        try {
+            bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        const start = buffer
+            .toString('utf8', 0, bytesRead)
+            .replace(/^\uFEFF/, '')
+            .trimStart();
+        return start.startsWith('<') ? 'html' : 'csv';
+    }
+
+    /**
+     * List the export parts found in the input paths, in import order
+     * @param {Array<string>} inputPaths - Export files, directories or ZIP archives
+     * @returns {Array<Object>} Parts with a name, a format and where to read them from
+     */
+    static listParts(inputPaths) {
+        return inputPaths.flatMap(inputPath => this.listInputParts(inputPath));
+    }
+
+    /**
+     * List the export parts of a single input path
+     * @param {string} inputPath - Export file, directory or ZIP archive
+     * @returns {Array<Object>} Parts of the input
+     */
+    static listInputParts(inputPath) {
+        if (fs.statSync(inputPath).isDirectory()) {
+            return this.listDirectoryParts(inputPath);
+        }
+        if (path.extname(inputPath).toLowerCase() === '.zip') {
+            return this.listZipParts(inputPath);
+        }
+        return [{ name: inputPath, format: this.detectFormat(inputPath), filePath: inputPath }];
+    }
+
+    /**
+     * List the CSV and HTML files at the top of a directory, sorted by name
+     * @param {string} directory - Directory holding an extracted export
+     * @returns {Array<Object>} Parts of the directory
+     */
+    static listDirectoryParts(directory) {
+        return fs
+            .readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isFile() && EXPORT_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => {
+                const filePath = path.join(directory, name);
+                return { name: filePath, format: this.detectFormat(filePath), filePath };
+            });
+    }
+
+    /**
+     * List the CSV files of a Pocket ZIP export, sorted by name
+     * @param {string} zipPath - Path to the ZIP archive
+     * @returns {Array<Object>} Parts of the archive
+     */
+    static listZipParts(zipPath) {
+        let zip;
+        try {
+            zip = new AdmZip(zipPath);
+        } catch (error) {
+            throw new Error(`Error reading ZIP file ${zipPath}: ${error.message}`);
+        }
+
+        return zip
+            .getEntries()
+            .filter(entry => !entry.isDirectory && path.extname(entry.entryName).toLowerCase() === '.csv')
+            .sort((a, b) => a.entryName.localeCompare(b.entryName))
+            .map(entry => ({ name: `${zipPath}:${entry.entryName}`, format: 'csv', zipEntry: entry }));
+    }
+
+    /**
+     * List the annotation files found in the input paths
+     *
+     * Pocket's ZIP export ships highlights as JSON files in an "annotations"
+     * folder. Directories are searched for JSON files at their top and in
+     * their "annotations" folder; JSON files are used as given.
+     * @param {Array<string>} inputPaths - Export files, directories, ZIP archives or annotation files
+     * @returns {Array<Object>} Annotation parts with a name and where to read them from
+     */
+    static listAnnotationParts(inputPaths) {
+        return inputPaths.flatMap(inputPath => this.listInputAnnotationParts(inputPath));
+    }
+
+    /**
+     * List the annotation files of a single input path
+     * @param {string} inputPath - Export file, directory, ZIP archive or annotation file
+     * @returns {Array<Object>} Annotation parts of the input
+     */
+    static listInputAnnotationParts(inputPath) {
+        if (fs.statSync(inputPath).isDirectory()) {
+            return [inputPath, path.join(inputPath, 'annotations')].flatMap(directory =>
+                this.listDirectoryAnnotationParts(directory)
+            );
+        }
+
+        const extension = path.extname(inputPath).toLowerCase();
+        if (extension === '.zip') {
+            return this.listZipAnnotationParts(inputPath);
+        }
+        return extension === '.json' ? [{ name: inputPath, filePath: inputPath }] : [];
+    }
+
+    /**
+     * List the JSON files at the top of a directory, sorted by name
+     * @param {string} directory - Directory to search
+     * @returns {Array<Object>} Annotation parts of the directory, none if it does not exist
+     */
+    static listDirectoryAnnotationParts(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        return fs
+            .readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isFile() && path.extname(entry.name).toLowerCase() === '.json')
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name: path.join(directory, name), filePath: path.join(directory, name) }));
+    }
+
+    /**
+     * List the JSON entries of the "annotations" folder of a Pocket ZIP export
+     * @param {string} zipPath - Path to the ZIP archive
+     * @returns {Array<Object>} Annotation parts of the archive
+     */
+    static listZipAnnotationParts(zipPath) {
+        return new AdmZip(zipPath)
+            .getEntries()
+            .filter(entry => !entry.isDirectory && /(^|\/)annotations\/[^/]+\.json$/i.test(entry.entryName))
+            .sort((a, b) => a.entryName.localeCompare(b.entryName))
+            .map(entry => ({ name: `${zipPath}:${entry.entryName}`, zipEntry: entry }));
+    }
+
+    /**
+     * Read the highlights of an annotation part
+     * @param {Object} part - Part returned by listAnnotationParts
+     * @returns {Promise<Array<Object>>} Highlights with url, title, quote and createdAt
+     */
+    static async readAnnotations(part) {
+        let content;
+        try {
+            content = part.zipEntry
+                ? part.zipEntry.getData().toString('utf8')
+                : await fs.promises.readFile(part.filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`File reading error: ${error.message}`);
+        }
+
+        let items;
+        try {
+            items = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid annotations JSON in ${part.name}: ${error.message}`);
+        }
+        return this.flattenAnnotations(Array.isArray(items) ? items : [items]);
+    }
+
+    /**
+     * Flatten Pocket annotation items into one entry per highlight
+     *
+     * Items are either an article with a "highlights" list, as in Pocket's
+     * export, or a single highlight carrying its own url.
+     * @param {Array<Object>} items - Parsed annotation items
+     * @returns {Array<Object>} Highlights with url, title, quote and createdAt
+     */
+    static flattenAnnotations(items) {
+        return items
+            .flatMap(item => (Array.isArray(item?.highlights) ? item.highlights.map(h => ({ ...item, ...h })) : [item]))
+            .map(highlight => ({
+                url: String(highlight?.url || '').trim(),
+                title: String(highlight?.title || '').trim(),
+                quote: String(highlight?.quote || '').trim(),
+                createdAt: highlight?.created_at ?? null
+            }))
+            .filter(highlight => highlight.url && highlight.quote);
+    }
+
+    /**
+     * Read the rows of an export part one at a time
+     * @param {Object} part - Part returned by listParts
+     * @returns {AsyncGenerator<Object>} Parsed rows, in part order
+     */
+    static async *streamPart(part) {
+        if (part.zipEntry) {
+            yield* CsvParser.streamCsv(Readable.from([part.zipEntry.getData()]));
+        } else if (part.format === 'html') {
+            // The HTML export is a single page that has to be read at once
+            yield* await HtmlExportParser.parseHtmlFile(part.filePath);
+        } else {
+            yield* CsvParser.streamCsvFile(part.filePath);
+        }
+    }
+
+    /**
+     * Count the rows of an export part without keeping them
+     * @param {Object} part - Part returned by listParts
+     * @returns {Promise<number>} Number of rows, approximate for CSV parts
+     */
+    static async countRows(part) {
+        if (part.zipEntry) {
+            return CsvParser.countRows(Readable.from([part.zipEntry.getData()]));
+        }
+        if (part.format === 'html') {
+            return (await HtmlExportParser.parseHtmlFile(part.filePath)).length;
+        }
+        return CsvParser.countRows(fs.createReadStream(part.filePath));
+    }
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { ArticlePoller } from './article-poller.js';
+
+export class HighlightImporter {
+    /**
+     * Create an importer of highlights for articles saved to Omnivore
+     * @param {OmnivoreGraphql} graphql - Omnivore GraphQL client
+     * @param {Object} [options] - Importer options
+     * @param {Function} [options.request] - Wraps each Omnivore request, e.g. to rate limit and retry it
+     * @param {number} [options.pollIntervalMs=2000] - Delay between two checks of an article still processing
+     * @param {number} [options.maxPollAttempts=30] - Checks before giving up on an article still processing
+     */
+    constructor(graphql, { request = operation => operation(), pollIntervalMs = 2000, maxPollAttempts = 30 } = {}) {
+        this.graphql = graphql;
+        this.request = request;
+        this.poller = new ArticlePoller(graphql, { request, pollIntervalMs, maxPollAttempts });
+    }
+
+    /**
+     * Generate the short id Omnivore uses in highlight links
+     * @returns {string} Random 8 character id
+     */
+    static generateShortId() {
+        return crypto.randomBytes(6).toString('base64url');
+    }
+
+    /**
+     * Wait until Omnivore has finished processing an article
+     * @param {string} articleId - Omnivore item id
+     * @returns {Promise<Object>} Article with its final state, 'PROCESSING' if it did not finish in time,
+     *   and the highlights it already has
+     */
+    async waitForArticle(articleId) {
+        return this.poller.waitForArticle(articleId);
+    }
+
+    /**
+     * Create the highlights of an article once Omnivore has finished processing it
+     *
+     * Quotes the article already has are skipped, so importing the same
+     * export again, e.g. with --resume, doesn't duplicate them.
+     * @param {string} articleId - Omnivore item id
+     * @param {Array<Object>} highlights - Highlights with a quote, in creation order
+     * @returns {Promise<Object>} Number of created and already present highlights, and the failures with their reason
+     */
+    async importArticleHighlights(articleId, highlights) {
+        let article;
+        try {
+            article = await this.waitForArticle(articleId);
+        } catch (error) {
+            return this.failAll(highlights, `Article state could not be read: ${error.message}`);
+        }
+
+        const { state } = article;
+        if (state === ArticlePoller.PROCESSING_STATE) {
+            return this.failAll(highlights, 'Article still processing in Omnivore');
+        }
+        if (ArticlePoller.FAILED_STATES.includes(state)) {
+            return this.failAll(highlights, `Article could not be processed by Omnivore (${state})`);
+        }
+
+        const existingQuotes = new Set((article.highlights ?? []).map(highlight => highlight.quote));
+        let created = 0;
+        let existing = 0;
+        const failures = [];
+        for (const highlight of highlights) {
+            if (existingQuotes.has(highlight.quote)) {
+                existing++;
+                continue;
+            }
+            try {
+                await this.request(() => this.graphql.createHighlight(this.buildHighlightInput(articleId, highlight)));
+                created++;
+            } catch (error) {
+                failures.push({ highlight, reason: `Highlight creation failed: ${error.message}` });
+            }
+        }
+        return { created, existing, failures };
+    }
+
+    /**
+     * Fail every highlight of an article for the same reason
+     * @param {Array<Object>} highlights - Highlights of the article
+     * @param {string} reason - Why none of them could be created
+     * @returns {Object} Result with no created highlight
+     */
+    failAll(highlights, reason) {
+        return { created: 0, existing: 0, failures: highlights.map(highlight => ({ highlight, reason })) };
+    }
+
+    /**
+     * Build the CreateHighlightInput of a Pocket highlight
+     * @param {string} articleId - Omnivore item id
+     * @param {Object} highlight - Pocket highlight with a quote
+     * @returns {Object} Highlight input
+     */
+    buildHighlightInput(articleId, highlight) {
+        return {
+            id: uuidv4(),
+            shortId: HighlightImporter.generateShortId(),
+            articleId,
+            type: 'HIGHLIGHT',
+            quote: highlight.quote
+        };
+    }
+}
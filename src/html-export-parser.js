@@ -0,0 +1,106 @@
+import fs from 'fs';
+
+// Section headings and links, in document order
+const TOKEN_PATTERN = /<h1[^>]*>([^<]*)<\/h1>|<a\b([^>]*)>([^<]*)<\/a>/gi;
+const ATTRIBUTE_PATTERN = /\s([\w-]+)="([^"]*)"/g;
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+export class HtmlExportParser {
+    /**
+     * Parse Pocket's HTML export (ril_export.html) and return rows
+     * @param {string} htmlFilePath - Path to HTML file
+     * @returns {Promise<Array>} Array of rows shaped like parsed CSV rows
+     */
+    static async parseHtmlFile(htmlFilePath) {
+        let content;
+        try {
+            content = await fs.promises.readFile(htmlFilePath, 'utf8');
+        } catch (error) {
+            throw new Error(`File reading error: ${error.message}`);
+        }
+        return this.parseHtml(content);
+    }
+
+    /**
+     * Parse the content of Pocket's HTML export
+     *
+     * Links listed under the "Read Archive" heading get the "archive" status and
+     * the others "unread", so CsvParser.validateRow yields the same shape as for
+     * a CSV export row.
+     * @param {string} html - HTML content
+     * @returns {Array} Array of rows with title, url, time_added, tags and status
+     */
+    static parseHtml(html) {
+        const rows = [];
+        let status = 'unread';
+
+        for (const [, heading, attributes, title] of html.matchAll(TOKEN_PATTERN)) {
+            if (heading !== undefined) {
+                status = /archive/i.test(heading) ? 'archive' : 'unread';
+                continue;
+            }
+
+            const attrs = this.parseAttributes(attributes);
+            rows.push({
+                title: this.decodeEntities(title).trim(),
+                url: attrs.href || '',
+                time_added: attrs.time_added || '',
+                tags: this.convertTags(attrs.tags || ''),
+                status
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse the attributes of an anchor tag
+     * @param {string} attributes - Raw attribute string
+     * @returns {Object} Decoded attribute values keyed by lowercase name
+     */
+    static parseAttributes(attributes) {
+        const attrs = {};
+        for (const [, name, value] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+            attrs[name.toLowerCase()] = this.decodeEntities(value);
+        }
+        return attrs;
+    }
+
+    /**
+     * Convert the comma-separated tags of the HTML export to the CSV pipe-separated format
+     * @param {string} tags - Comma-separated tags
+     * @returns {string} Pipe-separated tags
+     */
+    static convertTags(tags) {
+        return tags
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0)
+            .join('|');
+    }
+
+    /**
+     * Decode the HTML entities of a text
+     * @param {string} text - Text with HTML entities
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code.startsWith('#x') || code.startsWith('#X')) {
+                return String.fromCodePoint(parseInt(code.slice(2), 16));
+            }
+            if (code.startsWith('#')) {
+                return String.fromCodePoint(parseInt(code.slice(1), 10));
+            }
+            return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+        });
+    }
+}
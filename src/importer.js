@@ -1,11 +1,46 @@
 import { Omnivore, isOmnivoreError, OmnivoreErrorCode } from '@omnivore-app/api';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
-import https from 'https';
-import http from 'http';
+import path from 'path';
 import { Logger } from './logger.js';
 import { CsvParser } from './csv-parser.js';
 import { TagProcessor } from './tag-processor.js';
+import { TagMapper } from './tag-mapper.js';
+import { AutoLabeler } from './auto-labeler.js';
+import { TitleRestorer } from './title-restorer.js';
+import { RowFilter } from './row-filter.js';
+import { UrlChecker } from './url-checker.js';
+import { WaybackClient } from './wayback-client.js';
+import { LivenessCache } from './liveness-cache.js';
+import { LinkAuditor } from './link-auditor.js';
+import { RunReport } from './run-report.js';
+import { ArchivePolicy } from './archive-policy.js';
+import { CheckpointJournal } from './checkpoint-journal.js';
+import { CsvWriter } from './csv-writer.js';
+import { RateLimiter } from './rate-limiter.js';
+import { RetryPolicy } from './retry-policy.js';
+import { WorkerPool } from './worker-pool.js';
+import { LibraryIndex } from './library-index.js';
+import { ExportReader } from './export-reader.js';
+import { UrlUtils } from './url-utils.js';
+import { OmnivoreGraphql } from './omnivore-graphql.js';
+import { HighlightImporter } from './highlight-importer.js';
+
+// Pocket export columns, followed by the failure details of each row
+const FAILED_ROWS_COLUMNS = [
+    'title',
+    'url',
+    'time_added',
+    'tags',
+    'status',
+    'favorite',
+    'failed_row',
+    'error',
+    'error_code'
+];
+
+// Pocket annotation fields, followed by why the highlight was not created
+const UNMATCHED_HIGHLIGHTS_COLUMNS = ['url', 'title', 'quote', 'created_at', 'reason'];
 
 export class PocketToOmnivoreImporter {
     constructor(apiKey, baseUrl, options = {}) {
@@ -14,72 +49,148 @@ export class PocketToOmnivoreImporter {
             baseUrl,
             timeoutMs: 30000 // 30 second timeout
         });
-        this.labelCache = new Map(); // Cache created labels to avoid duplicates
+        this.graphql = new OmnivoreGraphql(apiKey, baseUrl, { timeoutMs: 30000 });
+        this.baseUrl = baseUrl || null;
+        this.labelCache = new Map(); // Lowercase label name -> label used for it in Omnivore
         this.logger = Logger;
+        this.journal = null;
+        this.urlCache = null;
+        this.failures = [];
+        this.libraryIndex = null;
+        this.parts = [];
+        this.savedItems = new Map(); // Normalized URL -> id of the item saved by this run
+        this.annotations = [];
+        this.unmatchedHighlights = [];
+        this.pendingTitles = []; // Saved articles waiting for their Pocket title
+        this.tagMapper = null;
+        this.runReport = null;
+        this.progress = null; // Statistics and expected rows of the running import, for the progress display
         this.options = {
             unreadUntagged: options.unreadUntagged || false,
             delayBetweenRequests: options.delayBetweenRequests || 200,
-            urlTimeout: options.urlTimeout || 10000 // 10 second timeout for URL checks
+            urlTimeout: options.urlTimeout || 10000, // 10 second timeout for URL checks
+            journalPath: options.journalPath || null, // No checkpoint journal unless a path is given
+            resume: options.resume || false,
+            continueOnError: options.continueOnError || false,
+            failedRowsPath: options.failedRowsPath || null, // Defaults to <csv name>-failed.csv next to the CSV file
+            dryRun: options.dryRun || false,
+            checkUrls: options.checkUrls !== false,
+            concurrency: options.concurrency || 1,
+            maxRetries: options.maxRetries ?? 3,
+            retryBaseDelay: options.retryBaseDelay || 1000,
+            existingItems: options.existingItems || null, // 'skip' or 'update' rows already saved in Omnivore
+            importHighlights: options.importHighlights !== false,
+            annotationsPath: options.annotationsPath || null, // Annotations besides those found in the export
+            unmatchedHighlightsPath: options.unmatchedHighlightsPath || null, // Defaults to <csv name>-unmatched-highlights.csv
+            articlePollInterval: options.articlePollInterval || 2000, // Wait for processed articles before highlights and titles
+            articlePollAttempts: options.articlePollAttempts || 30,
+            tagMappingPath: options.tagMappingPath || null, // JSON or YAML tag-to-label mapping rules
+            tagHierarchy: options.tagHierarchy || 'flat', // 'flat', 'expand' or 'leaf' for tags such as work/frontend
+            tagSeparators: options.tagSeparators || TagProcessor.DEFAULT_TAG_SEPARATORS,
+            autoLabels: options.autoLabels || [], // AutoLabeler generators, e.g. 'pocket-import' or 'domain'
+            labelFavorites: options.labelFavorites !== false, // Keep Pocket favorites as a label
+            favoriteLabel: options.favoriteLabel || AutoLabeler.DEFAULT_FAVORITE_LABEL,
+            titlePolicy: options.titlePolicy || 'never', // 'always' or 'if-empty' to give articles their Pocket title
+            filters: options.filters || {}, // RowFilter criteria selecting the rows to import
+            archivePolicyPath: options.archivePolicyPath || null, // JSON or YAML archive rules, mirrors Pocket by default
+            rescueDeadLinks: options.rescueDeadLinks || false, // Save Internet Archive snapshots of dead URLs
+            waybackEndpoint: options.waybackEndpoint || WaybackClient.DEFAULT_ENDPOINT,
+            archivedCopyLabel: options.archivedCopyLabel || AutoLabeler.DEFAULT_ARCHIVED_COPY_LABEL,
+            urlCachePath: options.urlCachePath || null, // No URL check cache unless a path is given
+            urlCacheTtlDays: options.urlCacheTtlDays || LivenessCache.DEFAULT_TTL_DAYS,
+            refreshUrlCache: options.refreshUrlCache || false, // Check every URL again, updating the cache
+            pruneUrlCache: options.pruneUrlCache || false,
+            auditCsvPath: options.auditCsvPath || null, // Defaults to <csv name>-audit.csv next to the CSV file
+            auditJsonPath: options.auditJsonPath || null, // Defaults to <csv name>-audit.json next to the CSV file
+            writeReport: options.writeReport !== false, // JSON run report written at the end of every import
+            reportPath: options.reportPath || null // Defaults to <csv name>-report.json next to the CSV file
         };
+        this.archivePolicy = new ArchivePolicy({}, { unreadUntagged: this.options.unreadUntagged });
+        this.rowFilter = new RowFilter(this.options.filters);
+        this.urlChecker = new UrlChecker({ timeoutMs: this.options.urlTimeout });
+        this.autoLabeler = new AutoLabeler(
+            [
+                ...this.options.autoLabels,
+                ...(this.options.labelFavorites ? ['favorite'] : []),
+                ...(this.options.rescueDeadLinks ? ['archived-copy'] : [])
+            ],
+            { favoriteLabel: this.options.favoriteLabel, archivedCopyLabel: this.options.archivedCopyLabel }
+        );
+        this.waybackClient = new WaybackClient({
+            endpoint: this.options.waybackEndpoint,
+            timeoutMs: this.options.urlTimeout
+        });
+        this.rateLimiter = new RateLimiter({
+            intervalMs: this.options.delayBetweenRequests,
+            capacity: this.options.concurrency
+        });
+        this.retryPolicy = new RetryPolicy({
+            maxRetries: this.options.maxRetries,
+            baseDelayMs: this.options.retryBaseDelay
+        });
     }
 
     /**
-     * Check if a URL is still alive and accessible
+     * Check if a URL is still alive and accessible, answering from the URL cache when possible
      * @param {string} url - URL to check
-     * @returns {Promise<Object>} Object with isAlive boolean and status info
+     * @returns {Promise<Object>} UrlChecker result, with isAlive false only for dead URLs
      */
     async checkUrlAlive(url) {
-        return new Promise(resolve => {
-            // eslint-disable-next-line no-undef
-            const urlObj = new URL(url);
-            const isHttps = urlObj.protocol === 'https:';
-            const httpModule = isHttps ? https : http;
-
-            const options = {
-                method: 'HEAD',
-                hostname: urlObj.hostname,
-                port: urlObj.port || (isHttps ? 443 : 80),
-                path: urlObj.pathname + urlObj.search,
-                timeout: this.options.urlTimeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; PocketToOmnivore/1.0)'
-                }
-            };
-
-            const req = httpModule.request(options, res => {
-                const statusCode = res.statusCode;
-
-                // Consider 2xx and 3xx as alive
-                if (statusCode >= 200 && statusCode < 400) {
-                    resolve({ isAlive: true, statusCode, reason: 'OK' });
-                } else {
-                    resolve({
-                        isAlive: false,
-                        statusCode,
-                        reason: `HTTP ${statusCode}`
-                    });
-                }
-            });
+        const cached = this.options.refreshUrlCache ? undefined : this.urlCache?.get(url);
+        const result = cached ?? (await this.urlChecker.check(url));
+        if (cached) {
+            this.logger.debug(`URL check of ${url} answered from the cache (checked ${cached.checkedAt})`);
+        } else {
+            this.urlCache?.record(url, result);
+        }
+        return { ...result, isAlive: result.status !== 'dead' };
+    }
 
-            req.on('error', err => {
-                resolve({
-                    isAlive: false,
-                    statusCode: null,
-                    reason: err.code || err.message
-                });
-            });
+    /**
+     * Check the URL of a row, logging dead URLs and URLs that could not be checked
+     *
+     * Only dead URLs are skipped: sites refusing the check or failing for now
+     * are imported, as the page may well exist.
+     * @param {number} rowNum - Row number
+     * @param {string} url - Article URL
+     * @returns {Promise<Object>} URL check result, see checkUrlAlive
+     */
+    async checkRowUrl(rowNum, url) {
+        const urlCheck = await this.checkUrlAlive(url);
+        if (!urlCheck.isAlive) {
+            this.logger.warning(`Row ${rowNum}: Skipping dead URL (${urlCheck.reason}): ${url}`);
+        } else if (urlCheck.status === 'uncertain') {
+            this.logger.warning(`Row ${rowNum}: Importing URL that could not be checked (${urlCheck.reason}): ${url}`);
+        } else {
+            this.logger.debug(`Row ${rowNum}: URL is alive (${urlCheck.reason}): ${url}`);
+        }
+        return urlCheck;
+    }
 
-            req.on('timeout', () => {
-                req.destroy();
-                resolve({
-                    isAlive: false,
-                    statusCode: null,
-                    reason: 'Timeout'
-                });
-            });
+    /**
+     * Find an Internet Archive snapshot to save instead of a dead URL, if dead links are rescued
+     * @param {number} rowNum - Row number
+     * @param {string} url - Dead article URL
+     * @param {string} timeAdded - Unix timestamp string, the snapshot closest to it is used
+     * @returns {Promise<Object|null>} Snapshot url and timestamp, or null to skip the row
+     */
+    async findArchivedCopy(rowNum, url, timeAdded) {
+        if (!this.options.rescueDeadLinks) {
+            return null;
+        }
 
-            req.end();
-        });
+        try {
+            const snapshot = await this.waybackClient.findSnapshot(url, timeAdded);
+            if (snapshot) {
+                this.logger.info(`Row ${rowNum}: Saving Internet Archive copy of dead URL: ${snapshot.url}`);
+            } else {
+                this.logger.warning(`Row ${rowNum}: No Internet Archive copy of dead URL: ${url}`);
+            }
+            return snapshot;
+        } catch (error) {
+            this.logger.warning(`Row ${rowNum}: ${error.message}`);
+            return null;
+        }
     }
 
     /**
@@ -90,23 +201,14 @@ export class PocketToOmnivoreImporter {
     }
 
     /**
-     * Determine if an article should be archived based on options and article state
-     * @param {string} status - Article status from Pocket
-     * @param {boolean} hasTags - Whether the article has tags
-     * @returns {boolean} Whether to archive the article
+     * Determine if an article should be archived according to the archive policy
+     * @param {Object} row - Row details, see ArchivePolicy.evaluate
+     * @param {string} row.status - Article status from Pocket
+     * @param {Array<string>} row.tags - Names of the labels made from the Pocket tags
+     * @returns {Object} Whether to archive the article, and the policy rule that decided
      */
-    shouldArchiveArticle(status, hasTags) {
-        if (status !== 'archive') {
-            return false;
-        }
-
-        if (this.options.unreadUntagged) {
-            // Only archive if article has tags
-            return hasTags;
-        } else {
-            // Default behavior: archive all articles marked as archived in Pocket
-            return true;
-        }
+    decideArchive(row) {
+        return this.archivePolicy.evaluate(row);
     }
 
     /**
@@ -159,6 +261,23 @@ export class PocketToOmnivoreImporter {
         }
     }
 
+    /**
+     * Get the URL a row is saved under
+     *
+     * Omnivore upserts on the exact URL it is given, while the library index
+     * matches loosely, so an existing item is updated through its own URL.
+     * @param {string} url - URL of the Pocket row
+     * @param {Object|undefined} existingItem - Omnivore item already saved for the URL
+     * @param {Object|null} snapshot - Internet Archive copy replacing a dead URL
+     * @returns {string} URL to save
+     */
+    getSaveUrl(url, existingItem, snapshot) {
+        if (existingItem) {
+            return existingItem.originalArticleUrl ?? existingItem.url;
+        }
+        return snapshot?.url ?? url;
+    }
+
     /**
      * Build complete save parameters for the article
      * @param {string} url - Article URL
@@ -178,24 +297,138 @@ export class PocketToOmnivoreImporter {
     }
 
     /**
-     * Save article to Omnivore using the API
+     * Save article to Omnivore using the API, retrying transient errors
      * @param {Object} saveParams - Complete save parameters
-     * @returns {Object} API response
+     * @returns {Object} API response, with the number of retries it took
      */
     async saveArticleToOmnivore(saveParams) {
+        let retries = 0;
+        const onRetry = (error, retry, delayMs) => {
+            retries = retry;
+            this.logger.warning(
+                `Transient error saving ${saveParams.url} (retry ${retry}/${this.retryPolicy.maxRetries} in ${delayMs}ms): ${error.message}`
+            );
+        };
+
         try {
-            return await this.omnivore.items.saveByUrl(saveParams);
+            const apiResult = await this.retryPolicy.execute(() => this.attemptSave(saveParams), onRetry);
+            return { ...apiResult, retries };
         } catch (error) {
             throw this.handleOmnivoreError(error);
         }
     }
 
+    /**
+     * Send a single save request to Omnivore, paced by the rate limiter
+     * @param {Object} saveParams - Complete save parameters
+     * @returns {Object} API response
+     */
+    async attemptSave(saveParams) {
+        return this.attemptRequest(() => this.omnivore.items.saveByUrl(saveParams));
+    }
+
+    /**
+     * Send a single request to Omnivore, paced by the rate limiter
+     * @param {Function} operation - Async function sending the request
+     * @returns {Promise<*>} API response
+     */
+    async attemptRequest(operation) {
+        await this.rateLimiter.acquire();
+
+        try {
+            const result = await operation();
+            this.rateLimiter.recover();
+            return result;
+        } catch (error) {
+            if (this.isThrottlingError(error)) {
+                const intervalMs = this.rateLimiter.backoff();
+                this.logger.warning(`Omnivore is pushing back, slowing down to one request every ${intervalMs}ms`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check if an Omnivore error means requests should be sent more slowly
+     * @param {Error} error - The error from Omnivore API
+     * @returns {boolean} True for rate-limit and network errors
+     */
+    isThrottlingError(error) {
+        if (error?.code === OmnivoreErrorCode.NetworkError) {
+            return true;
+        }
+        return /rate.?limit|too many requests|\b429\b/i.test(error.message || '');
+    }
+
+    /**
+     * Log what would be sent to Omnivore for a row instead of saving it
+     * @param {number} rowNum - Row number
+     * @param {Object} saveParams - Complete save parameters
+     * @returns {Object} Stand-in for the API response, without an item id
+     */
+    planSave(rowNum, saveParams) {
+        const labels = (saveParams.labels || []).map(label => label.name).join(', ') || 'none';
+        const state = saveParams.state || 'UNREAD';
+        const savedAt = saveParams.savedAt || 'not set';
+
+        this.logger.info(
+            `[DRY RUN] Row ${rowNum}: ${saveParams.url} | labels: ${labels} | state: ${state} | savedAt: ${savedAt}`
+        );
+        return { id: null, planned: true };
+    }
+
+    /**
+     * Save the article, or only plan the save in dry-run mode
+     * @param {number} rowNum - Row number
+     * @param {Object} saveParams - Complete save parameters
+     * @param {string} [rowUrl] - URL of the row, when an archived copy is saved instead
+     * @returns {Object} API response
+     */
+    async saveOrPlan(rowNum, saveParams, rowUrl = saveParams.url) {
+        if (this.options.dryRun) {
+            this.rememberSavedItem(rowUrl, null);
+            return this.planSave(rowNum, saveParams);
+        }
+
+        const apiResult = await this.saveArticleToOmnivore(saveParams);
+        this.logger.debug(`Row ${rowNum}: Saved ${saveParams.url} as item ${apiResult.id}`);
+        this.journal?.record(rowUrl, apiResult.id);
+        // Later rows of the same export with this URL are duplicates too
+        this.libraryIndex?.add({ id: apiResult.id, url: rowUrl });
+        this.rememberSavedItem(rowUrl, apiResult.id);
+        return apiResult;
+    }
+
+    /**
+     * Remember the item saved for a URL, so highlights can be matched to it later
+     * @param {string} url - Saved URL
+     * @param {string|null} id - Omnivore item id, null in dry-run mode
+     */
+    rememberSavedItem(url, id) {
+        // Without annotations there is nothing to match, keep memory flat on large exports
+        if (this.annotations.length > 0) {
+            this.savedItems.set(UrlUtils.normalize(url), id);
+        }
+    }
+
     /**
      * Handle and format Omnivore API errors
      * @param {Error} error - The error from Omnivore API
-     * @returns {Error} Formatted error
+     * @returns {Error} Formatted error, keeping the error code and retry count
      */
     handleOmnivoreError(error) {
+        const formattedError = this.formatOmnivoreError(error);
+        formattedError.code = error.code;
+        formattedError.retries = error.retries || 0;
+        return formattedError;
+    }
+
+    /**
+     * Format the message of an Omnivore API error
+     * @param {Error} error - The error from Omnivore API
+     * @returns {Error} Error with a readable message
+     */
+    formatOmnivoreError(error) {
         if (isOmnivoreError(error)) {
             let errorMessage;
             switch (error.code) {
@@ -227,12 +460,14 @@ export class PocketToOmnivoreImporter {
     createProcessingResult(apiResult, title, url, labels, saveParams, status) {
         return {
             success: true,
+            planned: Boolean(apiResult.planned),
             id: apiResult.id,
             title,
             url,
             hasLabels: labels.length > 0,
             isArchived: saveParams.state === 'ARCHIVED',
-            wasArchivedInPocket: status === 'archive'
+            wasArchivedInPocket: status === 'archive',
+            retries: apiResult.retries || 0
         };
     }
 
@@ -256,6 +491,67 @@ export class PocketToOmnivoreImporter {
         };
     }
 
+    /**
+     * Create processing result object for rows that failed
+     * @param {Object} failure - Recorded failure
+     * @returns {Object} Processing result for failed item
+     */
+    createFailedResult(failure) {
+        return {
+            success: false,
+            failed: true,
+            title: (failure.row.title || '').trim(),
+            url: failure.url,
+            reason: failure.message,
+            errorCode: failure.code,
+            retries: failure.retries,
+            hasLabels: false,
+            isArchived: false,
+            wasArchivedInPocket: false
+        };
+    }
+
+    /**
+     * Create processing result object for rows whose URL is already saved in Omnivore
+     * @param {string} title - Article title
+     * @param {string} url - Article URL
+     * @param {Object} existingItem - Item found in the Omnivore library
+     * @returns {Object} Processing result for the already present item
+     */
+    createAlreadyPresentResult(title, url, existingItem) {
+        return {
+            success: false,
+            skipped: false,
+            alreadyPresent: true,
+            id: existingItem.id,
+            title,
+            url,
+            hasLabels: false,
+            isArchived: false,
+            wasArchivedInPocket: false
+        };
+    }
+
+    /**
+     * Create processing result object for rows already imported by a previous run
+     * @param {string} title - Article title
+     * @param {string} url - Article URL
+     * @returns {Object} Processing result for resumed item
+     */
+    createResumedResult(title, url) {
+        return {
+            success: false,
+            skipped: false,
+            resumed: true,
+            id: this.journal.get(url),
+            title,
+            url,
+            hasLabels: false,
+            isArchived: false,
+            wasArchivedInPocket: false
+        };
+    }
+
     /**
      * Process a single row from the CSV
      * @param {number} rowNum - Row number for error reporting
@@ -265,28 +561,77 @@ export class PocketToOmnivoreImporter {
     async processRow(rowNum, rowData) {
         try {
             // Validate and clean row data
-            const { title, url, timeAdded, tags, status } = CsvParser.validateRow(rowNum, rowData);
+            const { title, url, timeAdded, tags, status, favorite } = CsvParser.validateRow(rowNum, rowData);
+
+            // Skip rows a previous run already saved
+            if (this.journal?.has(url)) {
+                const journalId = this.journal.get(url);
+                this.rememberSavedItem(url, journalId);
+                this.rememberTitle(journalId, url, title);
+                return this.createResumedResult(title, url);
+            }
 
-            // Check if URL is still alive
-            const urlCheck = await this.checkUrlAlive(url);
-            if (!urlCheck.isAlive) {
-                this.logger.warning(`Row ${rowNum}: Skipping dead URL (${urlCheck.reason}): ${url}`);
+            // Skip or update rows whose URL is already in the Omnivore library
+            const existingItem = this.libraryIndex?.get(url);
+            if (existingItem && this.options.existingItems === 'skip') {
+                this.rememberSavedItem(url, existingItem.id);
+                return this.createAlreadyPresentResult(title, url, existingItem);
+            }
+
+            // Check if URL is still alive, existing items were alive when they were saved
+            if (this.options.checkUrls && !existingItem) {
+                this.showProgress('Checking URL', title);
+            }
+            const urlCheck = this.options.checkUrls && !existingItem ? await this.checkRowUrl(rowNum, url) : null;
+            const snapshot = urlCheck?.isAlive === false ? await this.findArchivedCopy(rowNum, url, timeAdded) : null;
+            if (urlCheck?.isAlive === false && !snapshot) {
                 return this.createSkippedResult(title, url, `Dead URL: ${urlCheck.reason}`);
             }
+            const archivedCopy = Boolean(snapshot);
 
             // Process tags and determine archiving behavior
-            const labels = TagProcessor.processTags(tags);
-            const hasTags = labels.length > 0;
-            const shouldArchive = this.shouldArchiveArticle(status, hasTags);
+            const labels = this.resolveLabels(
+                TagProcessor.processTags(tags, this.tagMapper, {
+                    mode: this.options.tagHierarchy,
+                    separators: this.options.tagSeparators
+                })
+            );
+            const archiveDecision = this.decideArchive({
+                status,
+                tags: labels.map(label => label.name),
+                timeAdded,
+                url,
+                archivedCopy
+            });
 
-            // Build save parameters
-            const saveParams = this.buildSaveParams(url, labels, shouldArchive, timeAdded);
+            // Generated labels don't count as tags for archiving
+            const autoLabels = this.resolveLabels(
+                this.autoLabeler.createLabels({ url, timeAdded, favorite, archivedCopy })
+            );
+
+            // Build save parameters, with the existing item's URL or the archived copy instead of a dead URL
+            const saveParams = this.buildSaveParams(
+                this.getSaveUrl(url, existingItem, snapshot),
+                this.mergeLabels(labels, autoLabels),
+                archiveDecision.archive,
+                timeAdded
+            );
 
             // Save the item to Omnivore
-            const apiResult = await this.saveArticleToOmnivore(saveParams);
+            this.showProgress(this.options.dryRun ? 'Planning' : 'Saving', title);
+            const apiResult = await this.saveOrPlan(rowNum, saveParams, url);
+            this.rememberTitle(apiResult.id, saveParams.url, title);
 
             // Return processing result
-            return this.createProcessingResult(apiResult, title, url, labels, saveParams, status);
+            const result = this.createProcessingResult(apiResult, title, url, labels, saveParams, status);
+            result.alreadyPresent = Boolean(existingItem);
+            result.isFavorite = favorite;
+            result.archiveRule = archiveDecision.rule;
+            result.labels = (saveParams.labels ?? []).map(label => label.name);
+            result.finalUrl = urlCheck?.finalUrl ?? url;
+            result.uncertainUrl = urlCheck?.status === 'uncertain';
+            result.archivedCopyUrl = snapshot?.url ?? null;
+            return result;
         } catch (error) {
             // Add row context to error message
             const contextualError = new Error(`Row ${rowNum}: ${error.message}`);
@@ -296,27 +641,148 @@ export class PocketToOmnivoreImporter {
     }
 
     /**
-     * Validate and parse CSV file
-     * @param {string} csvFilePath - Path to CSV file
-     * @returns {Array} Parsed CSV rows
+     * Validate the export files and count their rows
+     *
+     * Each input can be a CSV or HTML export, a directory holding an extracted
+     * export or Pocket's ZIP bundle. Rows are only counted here, with a fast
+     * pass over the lines; readExportRows streams them during the import.
+     * @param {string|Array<string>} inputPaths - Path or paths to the export files
+     * @param {string} [action='import'] - What is done with the rows, for the log
+     * @returns {Promise<Object>} Export parts and their total row count
+     */
+    async openExport(inputPaths, action = 'import') {
+        const paths = [].concat(inputPaths);
+        for (const inputPath of paths) {
+            await this.assertInputExists(inputPath);
+        }
+
+        const parts = ExportReader.listParts(paths);
+        if (parts.length === 0) {
+            throw new Error(`No CSV or HTML export found in ${paths.join(', ')}`);
+        }
+
+        const label = parts.length === 1 ? parts[0].format.toUpperCase() : `${parts.length} export parts`;
+        this.logger.info(`Starting ${action} from ${label}...`);
+
+        let totalRows = 0;
+        for (const part of parts) {
+            const partRows = await this.countExportRows(part);
+            totalRows += partRows;
+            if (parts.length > 1) {
+                this.logger.info(`Found ${partRows} rows in ${part.name}`);
+            }
+        }
+
+        if (parts.length === 1) {
+            this.logger.info(`Found ${totalRows} rows in ${label} file`);
+        } else {
+            this.logger.info(`Found ${totalRows} rows across ${parts.length} parts`);
+        }
+        return { parts, totalRows };
+    }
+
+    /**
+     * Check that an input path exists
+     * @param {string} inputPath - Export file, directory or ZIP bundle
+     */
+    async assertInputExists(inputPath) {
+        try {
+            await fs.promises.stat(inputPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`CSV file not found: ${inputPath}`);
+            }
+            throw new Error(`Cannot read ${inputPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count the rows of an export part
+     * @param {Object} part - Part returned by ExportReader.listParts
+     * @returns {Promise<number>} Number of rows, approximate for CSV parts
+     */
+    async countExportRows(part) {
+        try {
+            return await ExportReader.countRows(part);
+        } catch (error) {
+            throw new Error(`Error parsing ${part.format.toUpperCase()} file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream the rows of every export part, in order
+     *
+     * Rows whose URL already appeared in an earlier part are dropped, so
+     * overlapping parts import each article once. The row and duplicate counts
+     * of each part are kept in this.parts.
+     * @param {Array<Object>} parts - Parts returned by ExportReader.listParts
+     * @returns {AsyncGenerator<Object>} Raw export rows
      */
-    async validateAndParseCsv(csvFilePath) {
-        this.logger.info('Starting import from CSV...');
+    async *readExportRows(parts) {
+        // URLs only need remembering when a later part can repeat them
+        const seenUrls = parts.length > 1 ? new Set() : null;
+        this.parts = [];
+
+        for (const part of parts) {
+            const partStats = { name: part.name, rows: 0, duplicates: 0 };
+            const partUrls = new Set();
+            this.parts.push(partStats);
+
+            for await (const row of this.streamExportPart(part)) {
+                partStats.rows++;
+                if (this.isSeenInEarlierPart(row, seenUrls, partUrls)) {
+                    partStats.duplicates++;
+                } else {
+                    yield row;
+                }
+            }
+
+            for (const key of partUrls) {
+                seenUrls.add(key);
+            }
+        }
+    }
 
-        // Check if file exists
-        if (!fs.existsSync(csvFilePath)) {
-            throw new Error(`CSV file not found: ${csvFilePath}`);
+    /**
+     * Check if the URL of a row appeared in an earlier part, remembering it for the next parts
+     * @param {Object} row - Raw export row
+     * @param {Set<string>|null} seenUrls - Normalized URLs of the earlier parts, null for a single part
+     * @param {Set<string>} partUrls - Normalized URLs of the current part
+     * @returns {boolean} True if the row is a duplicate of an earlier part
+     */
+    isSeenInEarlierPart(row, seenUrls, partUrls) {
+        const key = seenUrls ? this.getDedupeKey(row) : '';
+        if (!key) {
+            return false;
+        }
+        if (seenUrls.has(key)) {
+            return true;
         }
+        partUrls.add(key);
+        return false;
+    }
 
-        let rows;
+    /**
+     * Stream the rows of an export part
+     * @param {Object} part - Part returned by ExportReader.listParts
+     * @returns {AsyncGenerator<Object>} Raw export rows
+     */
+    async *streamExportPart(part) {
         try {
-            rows = await CsvParser.parseCsvFile(csvFilePath);
+            yield* ExportReader.streamPart(part);
         } catch (error) {
-            throw new Error(`Error parsing CSV file: ${error.message}`);
+            throw new Error(`Error parsing ${part.format.toUpperCase()} file: ${error.message}`);
         }
+    }
 
-        this.logger.info(`Found ${rows.length} rows in CSV file`);
-        return rows;
+    /**
+     * Get the key identifying a row across export parts
+     * @param {Object} row - Raw export row
+     * @returns {string} Normalized URL, or an empty string if the row has none
+     */
+    getDedupeKey(row) {
+        const url = (row.url || '').trim();
+        return url ? UrlUtils.normalize(url) : '';
     }
 
     /**
@@ -328,9 +794,25 @@ export class PocketToOmnivoreImporter {
             total: 0,
             successful: 0,
             skipped: 0,
+            resumed: 0,
+            failed: 0,
+            retries: 0,
+            alreadyPresent: 0,
             tagged: 0,
             archived: 0,
-            skippedArchive: 0
+            skippedArchive: 0,
+            uncertainUrls: 0,
+            archivedCopies: 0,
+            filtered: 0,
+            favorites: 0,
+            titles: 0,
+            titlesRestored: 0,
+            titlesFailed: 0,
+            highlights: 0,
+            highlightsCreated: 0,
+            highlightsExisting: 0,
+            highlightsFailed: 0,
+            highlightsUnmatched: 0
         };
     }
 
@@ -341,24 +823,83 @@ export class PocketToOmnivoreImporter {
      */
     updateStats(stats, result) {
         stats.total++;
-        if (result.skipped) {
+        stats.retries += result.retries || 0;
+        if (result.alreadyPresent) stats.alreadyPresent++;
+        if (result.resumed) {
+            stats.resumed++;
+        } else if (result.failed) {
+            stats.failed++;
+        } else if (result.skipped) {
             stats.skipped++;
         } else if (result.success) {
-            stats.successful++;
-            if (result.hasLabels) stats.tagged++;
-            if (result.isArchived) stats.archived++;
-            if (result.wasArchivedInPocket && !result.isArchived) stats.skippedArchive++;
+            this.countSavedArticle(stats, result);
         }
     }
 
+    /**
+     * Update the statistics of a saved article
+     * @param {Object} stats - Current statistics
+     * @param {Object} result - Processing result of the saved article
+     */
+    countSavedArticle(stats, result) {
+        stats.successful++;
+        if (result.hasLabels) stats.tagged++;
+        if (result.isArchived) stats.archived++;
+        if (result.wasArchivedInPocket && !result.isArchived) stats.skippedArchive++;
+        if (result.isFavorite) stats.favorites++;
+        if (result.uncertainUrl) stats.uncertainUrls++;
+        if (result.archivedCopyUrl) stats.archivedCopies++;
+    }
+
+    /**
+     * Describe the failure of a row
+     * @param {Error} error - The error that occurred
+     * @param {number} rowNum - Row number
+     * @param {Object} row - Row data
+     * @returns {Object} Failure with the row, its URL, the error message and code
+     */
+    describeFailure(error, rowNum, row) {
+        return {
+            rowNum,
+            row,
+            url: (row.url || '').trim(),
+            message: error.message,
+            code: error.originalError?.code || error.code || '',
+            retries: error.originalError?.retries || 0
+        };
+    }
+
+    /**
+     * Record a failed row so the import can continue
+     * @param {Error} error - The error that occurred
+     * @param {number} rowNum - Row number
+     * @param {Object} row - Row data
+     * @returns {Object} Processing result for the failed row
+     */
+    recordFailure(error, rowNum, row) {
+        const failure = this.describeFailure(error, rowNum, row);
+        this.failures.push(failure);
+
+        const codeSuffix = failure.code ? ` [${failure.code}]` : '';
+        this.logger.error(`${error.message}${codeSuffix} - continuing with next row`);
+        return this.createFailedResult(failure);
+    }
+
     /**
      * Handle processing error for a row
      * @param {Error} error - The error that occurred
      * @param {number} rowNum - Row number
      * @param {Object} row - Row data
      * @param {Object} stats - Current statistics
+     * @returns {Object} Processing result for the failed row when continuing on errors
      */
     handleProcessingError(error, rowNum, row, stats) {
+        if (this.options.continueOnError) {
+            return this.recordFailure(error, rowNum, row);
+        }
+
+        this.runReport?.addRow(rowNum, this.createFailedResult(this.describeFailure(error, rowNum, row)));
+
         // Clear the progress line and show the error
         this.logger.finalizeProgress();
         this.logger.error(`IMPORT STOPPED: ${error.message}`);
@@ -376,84 +917,858 @@ export class PocketToOmnivoreImporter {
     }
 
     /**
-     * Process all rows from CSV
-     * @param {Array} rows - CSV rows to process
+     * Process all rows from CSV with a bounded pool of concurrent workers
+     *
+     * Requests to Omnivore are paced by the rate limiter, so the pool size only
+     * bounds how many URL checks and saves can be in flight at once. Rows can
+     * come from an async iterable, and are then read as they are processed.
+     * Rows the row filter drops are numbered but neither processed nor
+     * counted in the total.
+     * @param {Iterable|AsyncIterable} rows - CSV rows to process
+     * @param {number} [totalRows] - Expected number of rows for the progress bar
      * @returns {Object} Import statistics
      */
-    async processAllRows(rows) {
+    async processAllRows(rows, totalRows = rows.length) {
         const stats = this.initializeStats();
+        this.progress = { stats, totalRows };
 
-        for (const [index, row] of rows.entries()) {
-            const rowNum = index + 1;
+        const selectedRows = this.filterRows(this.numberRows(rows), stats);
+        await WorkerPool.run(selectedRows, this.options.concurrency, async ({ row, rowNum }) => {
+            let result;
 
             try {
-                // Update progress bar with current article title
-                const currentTitle = (row.title || '').trim() || 'Untitled';
-                this.logger.updateProgress(stats.total, rows.length, `Processing: ${currentTitle}`);
-
-                const result = await this.processRow(rowNum, row);
-                this.updateStats(stats, result);
+                this.showProgress('Processing', (row.title || '').trim());
+                result = await this.processRow(rowNum, row);
             } catch (error) {
-                this.handleProcessingError(error, rowNum, row, stats);
+                result = this.handleProcessingError(error, rowNum, row, stats);
             }
 
-            // Add delay between requests to avoid rate limiting
-            if (index < rows.length - 1) {
-                await this.delay(this.options.delayBetweenRequests);
-            }
-        }
+            this.updateStats(stats, result);
+            this.runReport?.addRow(rowNum, result);
+        });
 
         return stats;
     }
 
     /**
-     * Finalize import process
-     * @param {Array} rows - Processed rows
-     * @param {Object} stats - Final statistics
+     * Count the outcomes of the rows processed so far
+     * @param {Object} stats - Current statistics
+     * @param {boolean} dryRun - Whether saves are only planned
+     * @returns {Object} Saved or planned, skipped and failed rows, for the progress display
      */
-    finalizeImport(rows, stats) {
-        // Final progress update
-        this.logger.updateProgress(rows.length, rows.length, 'Import completed!');
-        this.logger.finalizeProgress();
-        this.logFinalStatistics(stats);
+    static getProgressCounts(stats, dryRun) {
+        return {
+            [dryRun ? 'planned' : 'saved']: stats.successful,
+            skipped: stats.total - stats.successful - stats.failed,
+            failed: stats.failed
+        };
     }
 
     /**
-     * Import articles from CSV file
-     * @param {string} csvFilePath - Path to CSV file
-     * @returns {Object} Import statistics
+     * Update the progress display with the phase a row is in
+     * @param {string} phase - What is being done, e.g. Checking URL or Saving
+     * @param {string} title - Title of the row
      */
-    async importFromCsv(csvFilePath) {
-        const rows = await this.validateAndParseCsv(csvFilePath);
-
-        this.logger.info('Starting import process...\n');
-
-        const stats = await this.processAllRows(rows);
-
-        this.finalizeImport(rows, stats);
+    showProgress(phase, title) {
+        if (!this.progress) {
+            return;
+        }
 
-        return stats;
+        const { stats, totalRows } = this.progress;
+        // The total is counted from lines, never show more rows processed than expected
+        const progressTotal = Math.max((totalRows || 0) - stats.filtered, stats.total + 1);
+        this.logger.updateProgress(stats.total, progressTotal, title || 'Untitled', {
+            counts: PocketToOmnivoreImporter.getProgressCounts(stats, this.options.dryRun),
+            phase
+        });
     }
 
     /**
-     * Log final import statistics
-     * @param {Object} stats - Import statistics
+     * Number rows as they are read, starting at 1
+     * @param {Iterable|AsyncIterable} rows - CSV rows
+     * @returns {AsyncGenerator<Object>} Rows with their row number
      */
-    logFinalStatistics(stats) {
-        this.logger.success(`Import completed successfully!`);
-        this.logger.success(`📊 Final Statistics:`);
-        this.logger.success(`  ✅ Total articles processed: ${stats.successful}/${stats.total}`);
-
-        if (stats.skipped > 0) {
-            this.logger.success(`  ⏭️  Articles skipped (dead URLs): ${stats.skipped}`);
+    async *numberRows(rows) {
+        let rowNum = 0;
+        for await (const row of rows) {
+            rowNum++;
+            yield { row, rowNum };
         }
+    }
 
-        this.logger.success(`  🏷️  Articles with tags: ${stats.tagged}`);
-        this.logger.success(`  📦 Articles archived: ${stats.archived}`);
-        this.logger.success(`  📖 Articles kept unread: ${stats.successful - stats.archived}`);
+    /**
+     * Drop the rows the row filter rejects
+     * @param {AsyncIterable<Object>} numberedRows - Rows with their row number
+     * @param {Object} stats - Import statistics, counting the filtered rows
+     * @returns {AsyncGenerator<Object>} Rows to import, with their row number
+     */
+    async *filterRows(numberedRows, stats) {
+        for await (const numberedRow of numberedRows) {
+            if (this.rowFilter.accepts(numberedRow.row)) {
+                yield numberedRow;
+            } else {
+                stats.filtered++;
+                this.runReport?.addFilteredRow(numberedRow.rowNum, numberedRow.row);
+            }
+        }
+    }
 
-        if (this.options.unreadUntagged && stats.skippedArchive > 0) {
+    /**
+     * Finalize import process
+     * @param {Object} stats - Final statistics
+     */
+    finalizeImport(stats) {
+        // Final progress update
+        this.logger.updateProgress(stats.total, stats.total, 'Import completed!', {
+            counts: PocketToOmnivoreImporter.getProgressCounts(stats, this.options.dryRun)
+        });
+        this.logger.finalizeProgress();
+        this.progress = null;
+        this.logFinalStatistics(stats);
+    }
+
+    /**
+     * Index the items already saved in Omnivore if duplicate detection is enabled
+     * @returns {Promise<LibraryIndex|null>} Index of existing items, or null if disabled
+     */
+    async loadLibraryIndex() {
+        if (!this.options.existingItems) {
+            return null;
+        }
+
+        this.logger.info('Checking which items are already saved in Omnivore...');
+        try {
+            const index = await LibraryIndex.build(this.omnivore, {
+                fetchPage: request => this.retryPolicy.execute(request)
+            });
+            this.logger.info(`Found ${index.size} items already saved in Omnivore`);
+            return index;
+        } catch (error) {
+            throw new Error(`Error fetching existing Omnivore items: ${this.handleOmnivoreError(error).message}`);
+        }
+    }
+
+    /**
+     * Fill the label cache with the labels already in Omnivore
+     *
+     * A Pocket tag matching an existing label, whatever its case, reuses its
+     * name, color and description. Failing to list the labels is not fatal:
+     * the import goes on and new labels get their palette color. The labels
+     * are fetched once without retries, so an unreachable Omnivore doesn't
+     * hold up the start of the run.
+     * @returns {Promise<Map>} Label cache, keyed by lowercase label name
+     */
+    async loadExistingLabels() {
+        this.labelCache = new Map();
+
+        try {
+            const labels = await this.graphql.getLabels();
+            for (const { name, color, description } of labels) {
+                this.labelCache.set(name.toLowerCase(), { name, color, description: description || '' });
+            }
+            this.logger.info(`Found ${labels.length} labels already in Omnivore`);
+        } catch (error) {
+            this.logger.warning(
+                `Could not fetch existing Omnivore labels, new labels get palette colors: ${error.message}`
+            );
+        }
+        return this.labelCache;
+    }
+
+    /**
+     * Replace labels by the ones already used for the same name in Omnivore or earlier in the run
+     * @param {Array<Object>} labels - Labels built from the Pocket tags
+     * @returns {Array<Object>} Labels consistent with the label cache
+     */
+    resolveLabels(labels) {
+        return labels.map(label => {
+            const key = label.name.toLowerCase();
+            if (!this.labelCache.has(key)) {
+                this.labelCache.set(key, label);
+            }
+            return this.labelCache.get(key);
+        });
+    }
+
+    /**
+     * Add the generated labels of a row to its tag labels
+     * @param {Array<Object>} labels - Labels of the Pocket tags, from resolveLabels
+     * @param {Array<Object>} autoLabels - Generated labels, from resolveLabels
+     * @returns {Array<Object>} Labels, once each
+     */
+    mergeLabels(labels, autoLabels) {
+        // Resolved labels of the same name are the same label cache entry
+        return [...new Set([...labels, ...autoLabels])];
+    }
+
+    /**
+     * Get the path of the CSV file receiving the failed rows
+     * @param {string} csvFilePath - Path to the imported CSV file
+     * @returns {string} Path to the failed rows CSV file
+     */
+    getFailedRowsPath(csvFilePath) {
+        if (this.options.failedRowsPath) {
+            return this.options.failedRowsPath;
+        }
+
+        return this.getSiblingPath(csvFilePath, 'failed');
+    }
+
+    /**
+     * Get the path of a report written next to the imported file
+     * @param {string} csvFilePath - Path to the imported CSV file
+     * @param {string} suffix - Suffix added to the file name
+     * @param {string} [extension='csv'] - Extension of the report
+     * @returns {string} Path to <csv name>-<suffix>.<extension>
+     */
+    getSiblingPath(csvFilePath, suffix, extension = 'csv') {
+        const { dir, name } = path.parse(csvFilePath);
+        return path.join(dir, `${name}-${suffix}.${extension}`);
+    }
+
+    /**
+     * Load the tag mapping rules if a mapping file is configured
+     * @returns {Promise<TagMapper|null>} Mapper, or null if tags are imported as they are
+     */
+    async loadTagMapper() {
+        if (!this.options.tagMappingPath) {
+            return null;
+        }
+
+        const mapper = await TagMapper.load(this.options.tagMappingPath);
+        this.logger.info(`Loaded ${mapper.rules.length} tag mapping rules from ${this.options.tagMappingPath}`);
+        return mapper;
+    }
+
+    /**
+     * Load the archive policy file if one is configured
+     *
+     * --unread_untagged stays a rule of its own, tried before those of the file.
+     * @returns {Promise<ArchivePolicy>} Policy deciding the archive state of each row
+     */
+    async loadArchivePolicy() {
+        const options = { unreadUntagged: this.options.unreadUntagged };
+        if (!this.options.archivePolicyPath) {
+            return new ArchivePolicy({}, options);
+        }
+
+        const policy = await ArchivePolicy.load(this.options.archivePolicyPath, options);
+        this.logger.info(`Loaded ${policy.rules.length} archive rules from ${this.options.archivePolicyPath}`);
+        return policy;
+    }
+
+    /**
+     * Read the Pocket annotations of the export and of the annotations option
+     * @param {Array<string>} inputPaths - Paths to the export files
+     * @returns {Promise<Array<Object>>} Highlights with url, title, quote and createdAt, once per URL and quote
+     */
+    async loadAnnotations(inputPaths) {
+        if (!this.options.importHighlights) {
+            return [];
+        }
+
+        const annotationPaths = this.options.annotationsPath ? [this.options.annotationsPath] : [];
+        for (const annotationPath of annotationPaths) {
+            if (!fs.existsSync(annotationPath)) {
+                throw new Error(`Annotations file not found: ${annotationPath}`);
+            }
+        }
+
+        const parts = ExportReader.listAnnotationParts([...inputPaths, ...annotationPaths]);
+        const highlights = new Map(); // Normalized URL and quote -> highlight
+        for (const part of parts) {
+            for (const highlight of await ExportReader.readAnnotations(part)) {
+                const key = `${UrlUtils.normalize(highlight.url)}\n${highlight.quote}`;
+                if (!highlights.has(key)) {
+                    highlights.set(key, highlight);
+                }
+            }
+        }
+
+        if (highlights.size > 0) {
+            this.logger.info(`Found ${highlights.size} highlights in ${parts.length} annotation files`);
+        }
+        return [...highlights.values()];
+    }
+
+    /**
+     * Group highlights by the article saved for their URL during this run
+     * @param {Array<Object>} highlights - Pocket highlights
+     * @returns {Object} Articles with their id, url and highlights in creation order, and the unmatched highlights
+     */
+    matchHighlights(highlights) {
+        const articles = new Map(); // Normalized URL -> article and its highlights
+        const unmatched = [];
+
+        for (const highlight of highlights) {
+            const key = UrlUtils.normalize(highlight.url);
+            if (!this.savedItems.has(key)) {
+                unmatched.push(highlight);
+                continue;
+            }
+
+            if (!articles.has(key)) {
+                articles.set(key, { id: this.savedItems.get(key), url: highlight.url, highlights: [] });
+            }
+            articles.get(key).highlights.push(highlight);
+        }
+
+        for (const article of articles.values()) {
+            article.highlights.sort((a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0));
+        }
+        return { articles: [...articles.values()], unmatched };
+    }
+
+    /**
+     * Create the highlights of the articles saved during this run
+     *
+     * Runs after every row was saved, so that Omnivore had time to fetch most
+     * articles; highlights need the article content to anchor on.
+     * @param {Object} stats - Import statistics receiving the highlight counts
+     */
+    async importHighlights(stats) {
+        if (this.annotations.length === 0) {
+            return;
+        }
+
+        const { articles, unmatched } = this.matchHighlights(this.annotations);
+        this.unmatchedHighlights = unmatched.map(highlight => ({
+            ...highlight,
+            reason: 'No article imported for this URL'
+        }));
+        stats.highlightsUnmatched = unmatched.length;
+        stats.highlights = articles.reduce((sum, article) => sum + article.highlights.length, 0);
+
+        if (articles.length === 0) {
+            return;
+        }
+
+        this.logger.info(`Importing ${stats.highlights} highlights for ${articles.length} articles...`);
+        if (this.options.dryRun) {
+            for (const article of articles) {
+                this.logger.info(`[DRY RUN] ${article.url} | highlights: ${article.highlights.length}`);
+            }
+            return;
+        }
+
+        const highlightImporter = new HighlightImporter(this.graphql, {
+            request: operation => this.retryPolicy.execute(() => this.attemptRequest(operation)),
+            pollIntervalMs: this.options.articlePollInterval,
+            maxPollAttempts: this.options.articlePollAttempts
+        });
+
+        await WorkerPool.run(articles, this.options.concurrency, async article => {
+            const { created, existing, failures } = await highlightImporter.importArticleHighlights(
+                article.id,
+                article.highlights
+            );
+            stats.highlightsCreated += created;
+            stats.highlightsExisting += existing;
+            stats.highlightsFailed += failures.length;
+
+            for (const { highlight, reason } of failures) {
+                this.unmatchedHighlights.push({ ...highlight, reason });
+            }
+            if (failures.length > 0) {
+                this.logger.warning(
+                    `${failures.length} highlights not created for ${article.url}: ${failures[0].reason}`
+                );
+            }
+        });
+    }
+
+    /**
+     * Remember a saved article whose Pocket title has to be restored once the import is done
+     * @param {string|null} id - Omnivore item id, null in dry-run mode
+     * @param {string} url - Article URL
+     * @param {string} title - Pocket title
+     */
+    rememberTitle(id, url, title) {
+        if (this.options.titlePolicy !== 'never' && title) {
+            this.pendingTitles.push({ id, url, title });
+        }
+    }
+
+    /**
+     * Give the saved articles their Pocket title back, according to the title policy
+     *
+     * Omnivore sets the title once it has fetched the page, so this waits for
+     * each article to finish processing, after every row has been saved.
+     * @param {Object} stats - Import statistics, updated with the title counts
+     */
+    async restoreTitles(stats) {
+        stats.titles = this.pendingTitles.length;
+        if (stats.titles === 0) {
+            return;
+        }
+
+        if (this.options.dryRun) {
+            this.logger.info(`[DRY RUN] ${stats.titles} Pocket titles to restore (${this.options.titlePolicy})`);
+            return;
+        }
+
+        this.logger.info(`Restoring ${stats.titles} Pocket titles (${this.options.titlePolicy})...`);
+        const restorer = new TitleRestorer(this.graphql, {
+            policy: this.options.titlePolicy,
+            request: operation => this.retryPolicy.execute(() => this.attemptRequest(operation)),
+            pollIntervalMs: this.options.articlePollInterval,
+            maxPollAttempts: this.options.articlePollAttempts
+        });
+
+        await WorkerPool.run(this.pendingTitles, this.options.concurrency, async item => {
+            const { status, reason } = await restorer.restoreTitle(item);
+            if (status === 'updated') {
+                stats.titlesRestored++;
+            } else if (status === 'failed') {
+                stats.titlesFailed++;
+                this.logger.warning(`Pocket title not restored for ${item.url}: ${reason}`);
+            }
+        });
+        this.pendingTitles = [];
+    }
+
+    /**
+     * Write the highlights that could not be created, with the reason why
+     * @param {string} csvFilePath - Path to the imported CSV file
+     * @returns {string|null} Path to the report, or null if every highlight was created
+     */
+    writeUnmatchedHighlights(csvFilePath) {
+        if (this.unmatchedHighlights.length === 0) {
+            return null;
+        }
+
+        const reportPath =
+            this.options.unmatchedHighlightsPath || this.getSiblingPath(csvFilePath, 'unmatched-highlights');
+        const records = this.unmatchedHighlights.map(highlight => ({
+            url: highlight.url,
+            title: highlight.title,
+            quote: highlight.quote,
+            created_at: highlight.createdAt ?? '',
+            reason: highlight.reason
+        }));
+
+        CsvWriter.writeFile(reportPath, UNMATCHED_HIGHLIGHTS_COLUMNS, records);
+        this.logger.warning(`${records.length} highlights not imported, listed in ${reportPath}`);
+        return reportPath;
+    }
+
+    /**
+     * Write failed rows back out as a Pocket CSV that can be imported again
+     * @param {string} csvFilePath - Path to the imported CSV file
+     * @returns {string|null} Path to the failed rows CSV file, or null if nothing failed
+     */
+    writeFailedRows(csvFilePath) {
+        if (this.failures.length === 0) {
+            return null;
+        }
+
+        const failedRowsPath = this.getFailedRowsPath(csvFilePath);
+        const records = this.failures.map(failure => ({
+            ...failure.row,
+            failed_row: failure.rowNum,
+            error: failure.message,
+            error_code: failure.code
+        }));
+
+        CsvWriter.writeFile(failedRowsPath, FAILED_ROWS_COLUMNS, records);
+        this.logger.warning(`${this.failures.length} failed rows written to ${failedRowsPath}`);
+        return failedRowsPath;
+    }
+
+    /**
+     * Open the checkpoint journal for the CSV file if one is configured
+     * @param {string|Array<string>} csvFilePath - Path or paths to the imported export files
+     * @returns {CheckpointJournal|null} Journal or null if journaling is disabled
+     */
+    openJournal(csvFilePath) {
+        // A dry run without --resume must not forget what previous runs imported
+        if (!this.options.journalPath || (this.options.dryRun && !this.options.resume)) {
+            return null;
+        }
+
+        const journal = new CheckpointJournal(this.options.journalPath, csvFilePath);
+        if (this.options.resume) {
+            const completed = journal.load();
+            this.logger.info(`Resuming import: ${completed} rows already imported according to the journal`);
+        } else {
+            journal.reset();
+        }
+        return journal;
+    }
+
+    /**
+     * Open the URL check cache if one is configured
+     * @returns {LivenessCache|null} Cache or null if every URL is checked over the network
+     */
+    openUrlCache() {
+        if (!this.options.urlCachePath || !this.options.checkUrls) {
+            return null;
+        }
+
+        const cache = new LivenessCache(this.options.urlCachePath, { ttlDays: this.options.urlCacheTtlDays });
+        const cached = cache.load();
+        if (this.options.pruneUrlCache) {
+            const removed = cache.prune();
+            this.logger.info(`Pruned ${removed} expired or outdated URL checks from ${this.options.urlCachePath}`);
+        }
+
+        if (this.options.refreshUrlCache) {
+            this.logger.info(`Refreshing URL cache ${this.options.urlCachePath}: every URL is checked again`);
+        } else {
+            this.logger.info(`Using ${cached} cached URL checks from ${this.options.urlCachePath}`);
+        }
+        return cache;
+    }
+
+    /**
+     * Write the JSON run report if it is enabled
+     * @param {string} csvFilePath - Path to the imported CSV file
+     * @param {Object|null} stats - Final import statistics, null if the import stopped
+     * @param {Error|null} [error] - Error that stopped the import
+     * @returns {string|null} Path to the report, or null if reports are disabled
+     */
+    writeRunReport(csvFilePath, stats, error = null) {
+        if (!this.runReport) {
+            return null;
+        }
+
+        const reportPath = this.options.reportPath || this.getSiblingPath(csvFilePath, 'report', 'json');
+        this.runReport.write(reportPath, stats, error);
+        this.logger.info(`Run report written to ${reportPath}`);
+        return reportPath;
+    }
+
+    /**
+     * Import articles from CSV file
+     *
+     * A JSON run report is written at the end, also when the import stops on
+     * an error once the export was opened.
+     * @param {string|Array<string>} csvFilePath - Path or paths to the export files, directories or ZIP bundles
+     * @returns {Object} Import statistics
+     */
+    async importFromCsv(csvFilePath) {
+        const inputPaths = [].concat(csvFilePath);
+        this.runReport = null;
+
+        let stats;
+        try {
+            stats = await this.runImport(inputPaths);
+        } catch (error) {
+            try {
+                this.writeRunReport(inputPaths[0], null, error);
+            } catch (reportError) {
+                this.logger.warning(`Could not write the run report: ${reportError.message}`);
+            }
+            throw error;
+        }
+
+        this.writeRunReport(inputPaths[0], stats);
+        return stats;
+    }
+
+    /**
+     * Run the import of the export files
+     * @param {Array<string>} inputPaths - Paths to the export files, directories or ZIP bundles
+     * @returns {Promise<Object>} Import statistics
+     */
+    async runImport(inputPaths) {
+        const { parts, totalRows } = await this.openExport(inputPaths);
+        // An export that cannot be opened leaves no report behind
+        this.runReport = this.options.writeReport
+            ? new RunReport({ inputs: inputPaths, baseUrl: this.baseUrl, options: this.options })
+            : null;
+        this.tagMapper = await this.loadTagMapper();
+        this.archivePolicy = await this.loadArchivePolicy();
+        this.annotations = await this.loadAnnotations(inputPaths);
+        this.journal = this.openJournal(inputPaths);
+        this.urlCache = this.openUrlCache();
+        this.failures = [];
+        this.pendingTitles = [];
+        this.libraryIndex = await this.loadLibraryIndex();
+        await this.loadExistingLabels();
+
+        this.logger.info('Starting import process...\n');
+
+        const stats = await this.processAllRows(this.readExportRows(parts), totalRows);
+        stats.parts = this.parts;
+        stats.duplicates = this.parts.reduce((sum, part) => sum + part.duplicates, 0);
+        await this.importHighlights(stats);
+        await this.restoreTitles(stats);
+        stats.tagRules = this.tagMapper?.getReport() ?? [];
+        stats.filters = this.rowFilter.getReport();
+        stats.cachedUrlChecks = this.urlCache?.hits ?? 0;
+        stats.archiveRules = this.options.archivePolicyPath ? this.archivePolicy.getReport() : [];
+
+        this.finalizeImport(stats);
+        this.writeFailedRows(inputPaths[0]);
+        this.writeUnmatchedHighlights(inputPaths[0]);
+
+        return stats;
+    }
+
+    /**
+     * Check every URL of the export and write a link rot report, without importing anything
+     * @param {string|Array<string>} csvFilePath - Path or paths to the export files, directories or ZIP bundles
+     * @returns {Promise<Object>} Audit summary, see LinkAuditor.getSummary
+     */
+    async auditLinks(csvFilePath) {
+        const inputPaths = [].concat(csvFilePath);
+        const { parts, totalRows } = await this.openExport(inputPaths, 'link audit');
+        this.urlCache = this.openUrlCache();
+        const auditor = new LinkAuditor();
+
+        const rows = this.numberRows(this.readExportRows(parts));
+        await WorkerPool.run(rows, this.options.concurrency, async ({ row, rowNum }) => {
+            this.logger.updateProgress(
+                auditor.links.length,
+                Math.max(totalRows, auditor.links.length + 1),
+                (row.url || '').trim(),
+                { counts: auditor.counts, phase: 'Checking URL' }
+            );
+
+            let validated;
+            try {
+                validated = CsvParser.validateRow(rowNum, row);
+            } catch (error) {
+                auditor.recordInvalid(rowNum, row, error.message);
+                return;
+            }
+            auditor.record(rowNum, validated, await this.checkUrlAlive(validated.url));
+        });
+
+        this.logger.updateProgress(auditor.links.length, auditor.links.length, 'Audit completed!', {
+            counts: auditor.counts
+        });
+        this.logger.finalizeProgress();
+
+        const csvPath = this.options.auditCsvPath || this.getSiblingPath(inputPaths[0], 'audit');
+        const jsonPath = this.options.auditJsonPath || this.getSiblingPath(inputPaths[0], 'audit', 'json');
+        auditor.writeCsv(csvPath);
+        auditor.writeJson(jsonPath);
+
+        const summary = auditor.getSummary();
+        this.logAuditSummary(summary);
+        this.logger.success(`Link audit written to ${csvPath} and ${jsonPath}`);
+        return summary;
+    }
+
+    /**
+     * Log the summary of a link audit
+     * @param {Object} summary - Audit summary, see LinkAuditor.getSummary
+     */
+    logAuditSummary(summary) {
+        this.logger.success(`🔗 Link Audit:`);
+        this.logger.success(`  ✅ Alive: ${summary.alive}/${summary.total}`);
+        this.logger.success(
+            `  💀 Dead: ${summary.dead} (${(summary.deadRatio * 100).toFixed(1)}% of the links checked)`
+        );
+        this.logger.success(`  ❔ Could not be checked: ${summary.uncertain}`);
+        if (summary.invalid > 0) {
+            this.logger.warning(`  ❌ Invalid rows: ${summary.invalid}`);
+        }
+
+        this.logger.success(`  📊 Outcomes:`);
+        for (const { outcome, count } of summary.outcomes) {
+            this.logger.success(`      ${outcome}: ${count}`);
+        }
+
+        if (summary.domains.length > 0) {
+            this.logger.success(`  🌐 Domains with the most dead links:`);
+            for (const { domain, dead, total } of summary.domains) {
+                this.logger.success(`      ${domain || '(no domain)'}: ${dead}/${total} dead`);
+            }
+        }
+
+        this.logger.success(`  📅 Dead links by year saved:`);
+        for (const { year, dead, total, deadRatio } of summary.years) {
+            this.logger.success(`      ${year}: ${dead}/${total} dead (${(deadRatio * 100).toFixed(1)}%)`);
+        }
+    }
+
+    /**
+     * Log final import statistics
+     * @param {Object} stats - Import statistics
+     */
+    logFinalStatistics(stats) {
+        if (this.options.dryRun) {
+            this.logger.warning('Dry run completed - nothing was saved to Omnivore');
+        }
+        this.logger.success(`Import completed successfully!`);
+        this.logger.success(`📊 Final Statistics:`);
+        this.logger.success(`  ✅ Total articles processed: ${stats.successful}/${stats.total}`);
+
+        if (stats.parts?.length > 1) {
+            for (const part of stats.parts) {
+                this.logger.success(`  📄 ${part.name}: ${part.rows} rows`);
+            }
+        }
+
+        if (stats.duplicates > 0) {
+            this.logger.success(`  🔀 Duplicate rows across parts (imported once): ${stats.duplicates}`);
+        }
+
+        this.logUrlStatistics(stats);
+
+        if (stats.resumed > 0) {
+            this.logger.success(`  ⏩ Articles already imported (resumed): ${stats.resumed}`);
+        }
+
+        if (stats.alreadyPresent > 0) {
+            const action = this.options.existingItems === 'update' ? 'labels and state updated' : 'skipped';
+            this.logger.success(`  📚 Articles already in Omnivore (${action}): ${stats.alreadyPresent}`);
+        }
+
+        if (stats.failed > 0) {
+            this.logger.warning(`  ❌ Articles failed: ${stats.failed}`);
+        }
+
+        if (stats.retries > 0) {
+            this.logger.success(`  🔁 Retries after transient errors: ${stats.retries}`);
+        }
+
+        this.logger.success(`  🏷️  Articles with tags: ${stats.tagged}`);
+        this.logger.success(`  📦 Articles archived: ${stats.archived}`);
+        this.logger.success(`  📖 Articles kept unread: ${stats.successful - stats.archived}`);
+
+        if (this.options.unreadUntagged && stats.skippedArchive > 0) {
             this.logger.success(`  ⏭️  Archived→Unread (untagged): ${stats.skippedArchive}`);
         }
+
+        this.logFilterReport(stats);
+        this.logFavoriteStatistics(stats);
+        this.logTitleStatistics(stats);
+        this.logHighlightStatistics(stats);
+        this.logTagRuleReport(stats.tagRules);
+        this.logArchiveRuleReport(stats.archiveRules);
+    }
+
+    /**
+     * Log the outcome of the URL checks
+     * @param {Object} stats - Import statistics
+     */
+    logUrlStatistics(stats) {
+        if (stats.skipped > 0) {
+            this.logger.success(`  ⏭️  Articles skipped (dead URLs): ${stats.skipped}`);
+        }
+
+        if (stats.archivedCopies > 0) {
+            this.logger.success(`  🛟 Dead links saved as Internet Archive copies: ${stats.archivedCopies}`);
+        }
+
+        if (stats.cachedUrlChecks > 0) {
+            this.logger.success(`  💾 URL checks answered from the cache: ${stats.cachedUrlChecks}`);
+        }
+
+        if (stats.uncertainUrls > 0) {
+            this.logger.warning(
+                `  ❔ Articles whose URL could not be checked (imported anyway): ${stats.uncertainUrls}`
+            );
+        }
+    }
+
+    /**
+     * Log how many Pocket titles were given back to the imported articles
+     * @param {Object} stats - Import statistics
+     */
+    logTitleStatistics(stats) {
+        if (!stats.titles) {
+            return;
+        }
+
+        if (this.options.dryRun) {
+            this.logger.success(`  📝 Pocket titles to restore (${this.options.titlePolicy}): ${stats.titles}`);
+            return;
+        }
+        this.logger.success(`  📝 Pocket titles restored: ${stats.titlesRestored}/${stats.titles}`);
+        if (stats.titlesFailed > 0) {
+            this.logger.warning(`  ❌ Pocket titles not restored: ${stats.titlesFailed}`);
+        }
+    }
+
+    /**
+     * Log how many Pocket favorites were imported and how they were kept
+     * @param {Object} stats - Import statistics
+     */
+    logFavoriteStatistics(stats) {
+        if (!stats.favorites) {
+            return;
+        }
+
+        if (this.autoLabeler.isEnabled('favorite')) {
+            this.logger.success(`  ⭐ Pocket favorites (labeled ${this.options.favoriteLabel}): ${stats.favorites}`);
+        } else {
+            this.logger.warning(`  ⭐ Pocket favorites not preserved, no label applied: ${stats.favorites}`);
+        }
+    }
+
+    /**
+     * Log how many rows each row filter dropped
+     * @param {Object} stats - Import statistics
+     */
+    logFilterReport(stats) {
+        if (!stats.filters?.length) {
+            return;
+        }
+
+        this.logger.success(`  🔎 Rows filtered out: ${stats.filtered}`);
+        for (const { filter, dropped } of stats.filters) {
+            this.logger.success(`      ${filter}: ${dropped} rows`);
+        }
+    }
+
+    /**
+     * Log how many tags each mapping rule applied to
+     * @param {Array<Object>} [tagRules] - Rule report from TagMapper.getReport
+     */
+    logTagRuleReport(tagRules = []) {
+        if (tagRules.length === 0) {
+            return;
+        }
+
+        this.logger.success(`  🔀 Tag mapping rules:`);
+        for (const { rule, hits } of tagRules) {
+            const unused = hits === 0 ? ' (never applied)' : '';
+            this.logger.success(`      ${rule}: ${hits} tags${unused}`);
+        }
+    }
+
+    /**
+     * Log how many rows each archive rule decided
+     * @param {Array<Object>} [archiveRules] - Rule report from ArchivePolicy.getReport
+     */
+    logArchiveRuleReport(archiveRules = []) {
+        if (archiveRules.length === 0) {
+            return;
+        }
+
+        this.logger.success(`  🗄️  Archive rules:`);
+        for (const { rule, hits } of archiveRules) {
+            this.logger.success(`      ${rule}: ${hits} rows`);
+        }
+    }
+
+    /**
+     * Log the highlight counts of the final statistics
+     * @param {Object} stats - Import statistics
+     */
+    logHighlightStatistics(stats) {
+        if (stats.highlights > 0) {
+            const created = this.options.dryRun
+                ? `Highlights to create: ${stats.highlights}`
+                : `Highlights created: ${stats.highlightsCreated}/${stats.highlights}`;
+            this.logger.success(`  🖍️  ${created}`);
+        }
+
+        if (stats.highlightsExisting > 0) {
+            this.logger.info(`  🖍️  Highlights already in Omnivore: ${stats.highlightsExisting}`);
+        }
+
+        if (stats.highlightsFailed > 0) {
+            this.logger.warning(`  ❌ Highlights failed: ${stats.highlightsFailed}`);
+        }
+
+        if (stats.highlightsUnmatched > 0) {
+            this.logger.warning(`  🔍 Highlights without an imported article: ${stats.highlightsUnmatched}`);
+        }
     }
 }
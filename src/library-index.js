@@ -0,0 +1,80 @@
+import { UrlUtils } from './url-utils.js';
+
+export class LibraryIndex {
+    static get PAGE_SIZE() {
+        return 100;
+    }
+
+    constructor() {
+        this.items = new Map(); // Normalized URL -> existing Omnivore item
+        this.itemCount = 0;
+    }
+
+    /**
+     * Page through every item of the user's Omnivore library and index it by URL
+     * @param {Object} omnivore - Omnivore API client
+     * @param {Object} [options] - Build options
+     * @param {Function} [options.fetchPage] - Wraps each page request, e.g. to retry it
+     * @returns {Promise<LibraryIndex>} Index of the existing items
+     */
+    static async build(omnivore, { fetchPage = request => request() } = {}) {
+        const index = new LibraryIndex();
+        let after = 0;
+        let hasNextPage = true;
+
+        while (hasNextPage) {
+            const page = await fetchPage(() =>
+                omnivore.items.search({ after, first: this.PAGE_SIZE, query: 'in:all', includeContent: false })
+            );
+
+            for (const { node } of page.edges) {
+                index.add(node);
+            }
+
+            const nextCursor = Number(page.pageInfo.endCursor);
+            after = Number.isFinite(nextCursor) && nextCursor > after ? nextCursor : after + page.edges.length;
+            hasNextPage = page.pageInfo.hasNextPage && page.edges.length > 0;
+        }
+
+        return index;
+    }
+
+    /**
+     * Number of items in the index
+     * @returns {number} Indexed item count
+     */
+    get size() {
+        return this.itemCount;
+    }
+
+    /**
+     * Add an Omnivore item to the index, under its original and its final URL
+     * @param {Object} item - Omnivore item with at least an id and a url
+     */
+    add(item) {
+        this.itemCount++;
+        for (const url of [item.originalArticleUrl, item.url]) {
+            if (url) {
+                this.items.set(UrlUtils.normalize(url), item);
+            }
+        }
+    }
+
+    /**
+     * Find the existing item saved for a URL
+     * @param {string} url - URL to look up
+     * @returns {Object|undefined} Existing Omnivore item
+     */
+    get(url) {
+        return this.items.get(UrlUtils.normalize(url));
+    }
+
+    /**
+     * Check if a URL is already saved in Omnivore
+     * @param {string} url - URL to look up
+     * @returns {boolean} True if the URL is already in the library
+     */
+    has(url) {
+        return this.items.has(UrlUtils.normalize(url));
+    }
+}
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import { CsvWriter } from './csv-writer.js';
+import { UrlUtils } from './url-utils.js';
+
+// Columns of the per-link CSV report
+const LINK_COLUMNS = ['row', 'title', 'url', 'status', 'status_code', 'reason', 'final_url', 'domain', 'year_saved'];
+
+// Number of domains listed in the worst affected domains
+const TOP_DOMAIN_COUNT = 10;
+
+export class LinkAuditor {
+    /**
+     * Create an auditor collecting the URL checks of an export into a link rot report
+     */
+    constructor() {
+        this.links = [];
+        this.counts = { alive: 0, dead: 0, uncertain: 0, invalid: 0 };
+    }
+
+    /**
+     * Get the year a row was saved to Pocket
+     * @param {string} timeAdded - Unix timestamp string
+     * @returns {string} Year, or 'unknown' for rows without a date
+     */
+    static getYearSaved(timeAdded) {
+        const seconds = parseInt(timeAdded, 10);
+        return isNaN(seconds) ? 'unknown' : String(new Date(seconds * 1000).getUTCFullYear());
+    }
+
+    /**
+     * Compute the share of dead links
+     * @param {number} dead - Dead links
+     * @param {number} checked - Links checked
+     * @returns {number} Ratio between 0 and 1, rounded to 4 decimals
+     */
+    static getDeadRatio(dead, checked) {
+        return checked === 0 ? 0 : Math.round((dead / checked) * 10000) / 10000;
+    }
+
+    /**
+     * Record the check of a link
+     * @param {number} rowNum - Row number in the export
+     * @param {Object} row - Validated row with its title, url and timeAdded
+     * @param {Object} check - UrlChecker result
+     */
+    record(rowNum, { title, url, timeAdded }, { status, statusCode = null, reason, finalUrl = url }) {
+        this.counts[status]++;
+        this.links.push({
+            row: rowNum,
+            title,
+            url,
+            status,
+            statusCode,
+            reason,
+            finalUrl,
+            domain: UrlUtils.getDomain(url) ?? '',
+            yearSaved: LinkAuditor.getYearSaved(timeAdded)
+        });
+    }
+
+    /**
+     * Record a row that could not be checked because it is invalid, e.g. without a URL
+     * @param {number} rowNum - Row number in the export
+     * @param {Object} row - Raw export row
+     * @param {string} reason - Validation error
+     */
+    recordInvalid(rowNum, row, reason) {
+        this.counts.invalid++;
+        this.links.push({
+            row: rowNum,
+            title: (row.title || '').trim(),
+            url: (row.url || '').trim(),
+            status: 'invalid',
+            statusCode: null,
+            reason,
+            finalUrl: null,
+            domain: UrlUtils.getDomain(row.url || '') ?? '',
+            yearSaved: LinkAuditor.getYearSaved(row.time_added)
+        });
+    }
+
+    /**
+     * Count links by a key, with the dead ones among them
+     * @param {Function} getKey - Returns the key of a link
+     * @returns {Map<string, Object>} Counts by key
+     */
+    countBy(getKey) {
+        const counts = new Map();
+        for (const link of this.links.filter(candidate => candidate.status !== 'invalid')) {
+            const key = getKey(link);
+            const count = counts.get(key) ?? { total: 0, dead: 0 };
+            count.total++;
+            if (link.status === 'dead') {
+                count.dead++;
+            }
+            counts.set(key, count);
+        }
+        return counts;
+    }
+
+    /**
+     * Summarize the audit
+     * @returns {Object} Link counts by state, breakdown by HTTP status or error code, worst
+     *   affected domains and dead link ratio by year saved
+     */
+    getSummary() {
+        const states = { ...this.counts };
+        const checked = this.links.length - states.invalid;
+
+        const outcomes = new Map();
+        for (const link of this.links.filter(candidate => candidate.status !== 'invalid')) {
+            const outcome = link.statusCode ? `HTTP ${link.statusCode}` : link.reason;
+            outcomes.set(outcome, (outcomes.get(outcome) ?? 0) + 1);
+        }
+
+        const domains = [...this.countBy(link => link.domain)]
+            .filter(([, { dead }]) => dead > 0)
+            .sort(
+                ([domainA, a], [domainB, b]) => b.dead - a.dead || b.total - a.total || domainA.localeCompare(domainB)
+            )
+            .slice(0, TOP_DOMAIN_COUNT)
+            .map(([domain, { total, dead }]) => ({
+                domain,
+                total,
+                dead,
+                deadRatio: LinkAuditor.getDeadRatio(dead, total)
+            }));
+
+        const years = [...this.countBy(link => link.yearSaved)]
+            .sort(([yearA], [yearB]) => yearA.localeCompare(yearB))
+            .map(([year, { total, dead }]) => ({
+                year,
+                total,
+                dead,
+                deadRatio: LinkAuditor.getDeadRatio(dead, total)
+            }));
+
+        return {
+            total: this.links.length,
+            ...states,
+            deadRatio: LinkAuditor.getDeadRatio(states.dead, checked),
+            outcomes: [...outcomes]
+                .sort(([outcomeA, a], [outcomeB, b]) => b - a || outcomeA.localeCompare(outcomeB))
+                .map(([outcome, count]) => ({ outcome, count })),
+            domains,
+            years
+        };
+    }
+
+    /**
+     * Get the checked links in export order
+     * @returns {Object[]} Links sorted by row number
+     */
+    getLinks() {
+        // Concurrent checks finish rows out of order
+        return [...this.links].sort((a, b) => a.row - b.row);
+    }
+
+    /**
+     * Write the state of every link as CSV
+     * @param {string} csvFilePath - Destination path
+     */
+    writeCsv(csvFilePath) {
+        CsvWriter.writeFile(
+            csvFilePath,
+            LINK_COLUMNS,
+            this.getLinks().map(link => ({
+                row: link.row,
+                title: link.title,
+                url: link.url,
+                status: link.status,
+                status_code: link.statusCode,
+                reason: link.reason,
+                final_url: link.finalUrl,
+                domain: link.domain,
+                year_saved: link.yearSaved
+            }))
+        );
+    }
+
+    /**
+     * Write the summary and the state of every link as JSON
+     * @param {string} jsonFilePath - Destination path
+     */
+    writeJson(jsonFilePath) {
+        const report = { generatedAt: new Date().toISOString(), summary: this.getSummary(), links: this.getLinks() };
+        fs.writeFileSync(jsonFilePath, `${JSON.stringify(report, null, 2)}\n`);
+    }
+}
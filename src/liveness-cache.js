@@ -0,0 +1,142 @@
+import fs from 'fs';
+import { UrlChecker } from './url-checker.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class LivenessCache {
+    static get DEFAULT_PATH() {
+        return '.pocket-url-cache.jsonl';
+    }
+
+    static get DEFAULT_TTL_DAYS() {
+        return 7;
+    }
+
+    /**
+     * Create a cache of URL checks shared by the runs of the importer
+     *
+     * Each check is appended as one JSON line; the latest line of a URL wins,
+     * and checks older than the TTL are checked again.
+     * @param {string} cachePath - Path to the cache file
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.ttlDays=7] - Days a check result stays valid
+     * @param {Function} [options.now] - Returns the current time in milliseconds
+     */
+    constructor(cachePath, { ttlDays = LivenessCache.DEFAULT_TTL_DAYS, now = Date.now } = {}) {
+        this.cachePath = cachePath;
+        this.ttlMs = ttlDays * DAY_MS;
+        this.now = now;
+        this.entries = new Map();
+        this.hits = 0;
+    }
+
+    /**
+     * Parse a single cache line, ignoring blank or truncated lines
+     * @param {string} line - Raw cache line
+     * @returns {Object|null} Cache entry or null if the line is not valid
+     */
+    static parseEntry(line) {
+        if (!line.trim()) {
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(line);
+            return entry?.url && entry.status ? entry : null;
+        } catch {
+            // A crash while appending can leave a partial last line behind
+            return null;
+        }
+    }
+
+    /**
+     * Check if an entry is still valid
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True if the entry was checked within the TTL
+     */
+    isFresh(entry) {
+        return this.now() - Date.parse(entry.checkedAt) < this.ttlMs;
+    }
+
+    /**
+     * Load the cached checks from disk
+     * @returns {number} Number of URLs with a valid check
+     */
+    load() {
+        this.entries.clear();
+        if (!fs.existsSync(this.cachePath)) {
+            return 0;
+        }
+
+        for (const line of fs.readFileSync(this.cachePath, 'utf8').split('\n')) {
+            const entry = LivenessCache.parseEntry(line);
+            if (entry) {
+                this.entries.set(entry.url, entry);
+            }
+        }
+        return [...this.entries.values()].filter(entry => this.isFresh(entry)).length;
+    }
+
+    /**
+     * Rewrite the cache file with the latest valid check of each URL
+     * @returns {number} Number of lines removed
+     */
+    prune() {
+        const lineCount = fs.existsSync(this.cachePath)
+            ? fs
+                  .readFileSync(this.cachePath, 'utf8')
+                  .split('\n')
+                  .filter(line => line.trim()).length
+            : 0;
+
+        const kept = [...this.entries.values()].filter(entry => this.isFresh(entry));
+        this.entries = new Map(kept.map(entry => [entry.url, entry]));
+        fs.writeFileSync(this.cachePath, kept.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        return lineCount - kept.length;
+    }
+
+    /**
+     * Get the cached check of a URL
+     * @param {string} url - Article URL
+     * @returns {Object|undefined} UrlChecker result with its checkedAt date, undefined if missing or expired
+     */
+    get(url) {
+        const entry = this.entries.get(url);
+        if (!entry || !this.isFresh(entry)) {
+            return undefined;
+        }
+
+        this.hits++;
+        return entry;
+    }
+
+    /**
+     * Check if a check result can be reused by later runs
+     * @param {Object} result - UrlChecker result
+     * @returns {boolean} True for alive URLs and URLs answering HTTP 404 or 410
+     */
+    static isCacheable({ status, statusCode = null }) {
+        // Only statuses proving the page is gone, other failures may not last
+        return status === 'alive' || (status === 'dead' && UrlChecker.DEAD_STATUS_CODES.includes(statusCode));
+    }
+
+    /**
+     * Record the check of a URL
+     *
+     * Only alive URLs and dead ones answering HTTP 404 or 410 are recorded,
+     * so a timeout, a rate limit or a site that was briefly unreachable is
+     * checked again by the next run.
+     * @param {string} url - Article URL
+     * @param {Object} result - UrlChecker result
+     */
+    record(url, { status, statusCode = null, reason, finalUrl = url }) {
+        if (!LivenessCache.isCacheable({ status, statusCode })) {
+            return;
+        }
+
+        const entry = { url, status, statusCode, reason, finalUrl, checkedAt: new Date(this.now()).toISOString() };
+
+        fs.appendFileSync(this.cachePath, `${JSON.stringify(entry)}\n`);
+        this.entries.set(url, entry);
+    }
+}
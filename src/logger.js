@@ -1,3 +1,4 @@
+import fs from 'fs';
 import readline from 'readline';
 
 // Colors for logging
@@ -6,24 +7,169 @@ const Colors = {
     GREEN: '\x1b[0;32m',
     YELLOW: '\x1b[1;33m',
     BLUE: '\x1b[0;34m',
+    GRAY: '\x1b[0;90m',
     NC: '\x1b[0m' // No Color
 };
 
+// Levels from the most to the least verbose
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Label and color of each kind of message in the pretty output
+const PRETTY_STYLES = {
+    debug: { label: 'DEBUG', color: Colors.GRAY },
+    info: { label: 'INFO', color: Colors.BLUE },
+    success: { label: 'SUCCESS', color: Colors.GREEN },
+    warn: { label: 'WARNING', color: Colors.YELLOW },
+    error: { label: 'ERROR', color: Colors.RED }
+};
+
+const DEFAULT_SETTINGS = {
+    level: 'info',
+    format: 'pretty',
+    color: null,
+    logFile: null,
+    progressIntervalMs: 30000,
+    now: () => Date.now()
+};
+
+// Width of the progress bar and of the current title in characters
+const PROGRESS_BAR_WIDTH = 30;
+const PROGRESS_TITLE_WIDTH = 50;
+
+let settings = { ...DEFAULT_SETTINGS };
+let sinks = [];
+
+// State of the progress display of the current run
+const createProgressState = () => ({ startedAt: null, lastPrintedAt: null, renderedLines: 0 });
+let progress = createProgressState();
+
 export class Logger {
+    static get LEVELS() {
+        return LEVELS;
+    }
+
+    static get FORMATS() {
+        return ['pretty', 'json'];
+    }
+
+    /**
+     * Configure where and how events are logged
+     *
+     * Events below the level are dropped. The console receives them in the
+     * chosen format, the log file as one JSON object per line.
+     * @param {Object} [options] - Logging options
+     * @param {string} [options.level='info'] - Least severe level logged: debug, info, warn or error
+     * @param {string} [options.format='pretty'] - Console format: pretty (colored text) or json (one object per event)
+     * @param {boolean|null} [options.color] - Color the pretty output, by default on a TTY unless NO_COLOR is set
+     * @param {string|null} [options.logFile] - File every event is appended to
+     * @param {number} [options.progressIntervalMs=30000] - Time between progress lines when no bar is drawn
+     * @param {Function} [options.now] - Returns the current time in milliseconds
+     */
+    static configure(options = {}) {
+        settings = { ...DEFAULT_SETTINGS, ...options };
+        if (!LEVELS.includes(settings.level)) {
+            throw new Error(`Unknown log level "${settings.level}", expected one of ${LEVELS.join(', ')}`);
+        }
+        if (!this.FORMATS.includes(settings.format)) {
+            throw new Error(`Unknown log format "${settings.format}", expected one of ${this.FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Restore the default settings and remove the added sinks
+     */
+    static reset() {
+        settings = { ...DEFAULT_SETTINGS };
+        sinks = [];
+        progress = createProgressState();
+    }
+
+    /**
+     * Send every logged event to another destination as well
+     * @param {Object} sink - Object whose write(event) method receives each event
+     */
+    static addSink(sink) {
+        sinks.push(sink);
+    }
+
+    /**
+     * Check if events of a level are logged
+     * @param {string} level - debug, info, warn or error
+     * @returns {boolean} True if the level is at least the configured one
+     */
+    static isEnabled(level) {
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(settings.level);
+    }
+
+    /**
+     * Check if the pretty output is colored
+     * @returns {boolean} The configured color, or whether stdout is a TTY and NO_COLOR is not set
+     */
+    static useColor() {
+        return settings.color ?? (Boolean(process.stdout.isTTY) && !process.env.NO_COLOR);
+    }
+
+    /**
+     * Paint text if colors are enabled
+     * @param {string} color - ANSI color code
+     * @param {string} text - Text to paint
+     * @returns {string} Colored or plain text
+     */
+    static paint(color, text) {
+        return this.useColor() ? `${color}${text}${Colors.NC}` : text;
+    }
+
+    /**
+     * Render an event as pretty text
+     * @param {Object} event - Logged event
+     * @returns {string} Text line such as [INFO] message
+     */
+    static formatPretty(event) {
+        const style = PRETTY_STYLES[event.success ? 'success' : event.level];
+        const label = `[${style.label}]`;
+        return `${this.paint(style.color, label)} ${event.message}`;
+    }
+
+    /**
+     * Log an event at a level
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message
+     * @param {Object} [fields] - Extra fields of the event, such as success: true
+     */
+    static log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const event = { time: new Date().toISOString(), level, message, ...fields };
+        this.clearProgress();
+        console.log(settings.format === 'json' ? JSON.stringify(event) : this.formatPretty(event));
+        if (settings.logFile) {
+            fs.appendFileSync(settings.logFile, `${JSON.stringify(event)}\n`);
+        }
+        for (const sink of sinks) {
+            sink.write(event);
+        }
+    }
+
+    static debug(message) {
+        this.log('debug', message);
+    }
+
     static info(message) {
-        console.log(`${Colors.BLUE}[INFO]${Colors.NC} ${message}`);
+        this.log('info', message);
     }
 
     static success(message) {
-        console.log(`${Colors.GREEN}[SUCCESS]${Colors.NC} ${message}`);
+        this.log('info', message, { success: true });
     }
 
     static error(message) {
-        console.log(`${Colors.RED}[ERROR]${Colors.NC} ${message}`);
+        this.log('error', message);
     }
 
     static warning(message) {
-        console.log(`${Colors.YELLOW}[WARNING]${Colors.NC} ${message}`);
+        this.log('warn', message);
     }
 
     static clearLine() {
@@ -33,40 +179,199 @@ export class Logger {
         }
     }
 
-    static updateProgress(current, total, currentTitle = '') {
-        if (!process.stdout.isTTY) {
-            // Fallback for non-TTY environments
-            if (current % 5 === 0 || current === total) {
-                console.log(`Progress: ${current}/${total} articles processed`);
-            }
+    /**
+     * Erase the progress display from the terminal, so a log line doesn't end up inside it
+     */
+    static clearProgress() {
+        if (progress.renderedLines === 0 || !process.stdout.isTTY) {
             return;
         }
 
+        readline.moveCursor(process.stdout, 0, 1 - progress.renderedLines);
+        readline.cursorTo(process.stdout, 0);
+        readline.clearScreenDown(process.stdout);
+        progress.renderedLines = 0;
+    }
+
+    /**
+     * Check if progress is drawn as a bar on the terminal
+     * @returns {boolean} True for the pretty format on a TTY
+     */
+    static drawsProgressBar() {
+        return settings.format === 'pretty' && Boolean(process.stdout.isTTY);
+    }
+
+    /**
+     * Format a duration for the progress display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Duration such as 45s, 12m 30s or 2h 05m
+     */
+    static formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) {
+            return `${seconds}s`;
+        }
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) {
+            return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+        }
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    /**
+     * Measure the pace of the current run
+     *
+     * The clock starts with the first progress update of a run and stops with
+     * finalizeProgress.
+     * @param {number} current - Items processed
+     * @param {number} total - Items expected
+     * @returns {Object} elapsedMs, etaMs and perMinute, the last two null until an item is processed
+     */
+    static getProgressTiming(current, total) {
+        const now = settings.now();
+        progress.startedAt ??= now;
+
+        const elapsedMs = now - progress.startedAt;
+        if (current === 0 || elapsedMs === 0) {
+            return { elapsedMs, etaMs: null, perMinute: null };
+        }
+        return {
+            elapsedMs,
+            etaMs: Math.round((elapsedMs / current) * Math.max(total - current, 0)),
+            perMinute: Math.round((current / elapsedMs) * 60000 * 10) / 10
+        };
+    }
+
+    /**
+     * Describe the pace of the run
+     * @param {Object} timing - Pace, see getProgressTiming
+     * @returns {string} Elapsed time, ETA and items per minute
+     */
+    static formatTiming({ elapsedMs, etaMs, perMinute }) {
+        const parts = [`${this.formatDuration(elapsedMs)} elapsed`];
+        if (etaMs !== null) {
+            parts.push(`ETA ${this.formatDuration(etaMs)}`, `${perMinute}/min`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Describe the outcome counts and the current phase of the run
+     * @param {Object} details - Progress details, see updateProgress
+     * @returns {string} Counts such as saved 3 · skipped 1, then the phase
+     */
+    static formatStatus({ counts = {}, phase = null }) {
+        const parts = Object.entries(counts).map(([name, count]) => `${name} ${count}`);
+        if (phase) {
+            parts.push(phase);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Show the progress of a run
+     *
+     * On a terminal a bar is redrawn on every update, with the status and the
+     * current title on a second line. Otherwise a summary line is printed at
+     * the first update, every progressIntervalMs and at the end.
+     * @param {number} current - Items processed
+     * @param {number} total - Items expected
+     * @param {string} [currentTitle] - Title of the item being processed
+     * @param {Object} [details] - Running counts and current phase
+     * @param {Object} [details.counts] - Counts by outcome, e.g. { saved: 3, skipped: 1, failed: 0 }
+     * @param {string} [details.phase] - What the run is doing, e.g. Checking URL or Saving
+     */
+    static updateProgress(current, total, currentTitle = '', details = {}) {
+        if (!this.isEnabled('info')) {
+            return;
+        }
+
+        const timing = this.getProgressTiming(current, total);
+        if (this.drawsProgressBar()) {
+            this.drawProgress(current, total, currentTitle, timing, details);
+        } else {
+            this.printProgress(current, total, timing, details);
+        }
+    }
+
+    /**
+     * Redraw the progress bar and status lines on the terminal
+     * @param {number} current - Items processed
+     * @param {number} total - Items expected
+     * @param {string} currentTitle - Title of the item being processed
+     * @param {Object} timing - Pace, see getProgressTiming
+     * @param {Object} details - Running counts and current phase, see updateProgress
+     */
+    static drawProgress(current, total, currentTitle, timing, details) {
+        this.clearProgress();
         this.clearLine();
+
         const percentage = Math.round((current / total) * 100);
-        const progressBar = this.createProgressBar(current, total, 30);
-        const truncatedTitle = currentTitle.length > 50 ? `${currentTitle.substring(0, 47)}...` : currentTitle;
+        const progressBar = this.createProgressBar(current, total, PROGRESS_BAR_WIDTH);
+        const truncatedTitle =
+            currentTitle.length > PROGRESS_TITLE_WIDTH
+                ? `${currentTitle.substring(0, PROGRESS_TITLE_WIDTH - 3)}...`
+                : currentTitle;
+        const status = [this.formatStatus(details), truncatedTitle].filter(Boolean).join(' · ');
 
-        process.stdout.write(
-            `${Colors.BLUE}[PROGRESS]${Colors.NC} ${progressBar} ${percentage}% (${current}/${total}) ${truncatedTitle}`
-        );
+        const lines = [
+            `${this.paint(Colors.BLUE, '[PROGRESS]')} ${progressBar} ${percentage}% (${current}/${total}) ${this.formatTiming(timing)}`,
+            `           ${status}`
+        ];
+        process.stdout.write(lines.join('\n'));
+        progress.renderedLines = lines.length;
 
         if (current === total) {
+            // Leave the final state on screen
             process.stdout.write('\n');
+            progress.renderedLines = 0;
+        }
+    }
+
+    /**
+     * Print a progress summary line when no bar is drawn, at most once per interval
+     * @param {number} current - Items processed
+     * @param {number} total - Items expected
+     * @param {Object} timing - Pace, see getProgressTiming
+     * @param {Object} details - Running counts and current phase, see updateProgress
+     */
+    static printProgress(current, total, timing, details) {
+        const now = settings.now();
+        const due = progress.lastPrintedAt === null || now - progress.lastPrintedAt >= settings.progressIntervalMs;
+        if (!due && current !== total) {
+            return;
+        }
+        progress.lastPrintedAt = now;
+
+        const status = this.formatStatus(details);
+        const message = [`Progress: ${current}/${total} articles processed`, this.formatTiming(timing), status]
+            .filter(Boolean)
+            .join(' | ');
+        if (settings.format === 'json') {
+            this.log('info', message, {
+                progress: { current, total, ...timing, counts: details.counts ?? {}, phase: details.phase ?? null }
+            });
+        } else {
+            console.log(message);
         }
     }
 
-    static createProgressBar(current, total, width = 30) {
+    static createProgressBar(current, total, width = PROGRESS_BAR_WIDTH) {
         const filledWidth = Math.round((current / total) * width);
         const emptyWidth = width - filledWidth;
         const filled = '█'.repeat(filledWidth);
         const empty = '░'.repeat(emptyWidth);
-        return `${Colors.GREEN}${filled}${Colors.NC}${empty}`;
+        return `${this.paint(Colors.GREEN, filled)}${empty}`;
     }
 
+    /**
+     * End the progress display of a run, the next update starts a new clock
+     */
     static finalizeProgress() {
-        if (process.stdout.isTTY) {
+        if (this.drawsProgressBar() && this.isEnabled('info')) {
             process.stdout.write('\n');
         }
+        progress = createProgressState();
     }
 }
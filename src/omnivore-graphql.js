@@ -0,0 +1,195 @@
+import { OmnivoreErrorCode } from '@omnivore-app/api';
+
+const ARTICLE_QUERY = `
+    query Article($slug: String!) {
+        article(username: "me", slug: $slug) {
+            ... on ArticleSuccess {
+                article {
+                    id
+                    title
+                    state
+                    highlights {
+                        quote
+                    }
+                }
+            }
+            ... on ArticleError {
+                errorCodes
+            }
+        }
+    }
+`;
+
+const CREATE_HIGHLIGHT_MUTATION = `
+    mutation CreateHighlight($input: CreateHighlightInput!) {
+        createHighlight(input: $input) {
+            ... on CreateHighlightSuccess {
+                highlight {
+                    id
+                }
+            }
+            ... on CreateHighlightError {
+                errorCodes
+            }
+        }
+    }
+`;
+
+const LABELS_QUERY = `
+    query Labels {
+        labels {
+            ... on LabelsSuccess {
+                labels {
+                    id
+                    name
+                    color
+                    description
+                }
+            }
+            ... on LabelsError {
+                errorCodes
+            }
+        }
+    }
+`;
+
+const UPDATE_PAGE_MUTATION = `
+    mutation UpdatePage($input: UpdatePageInput!) {
+        updatePage(input: $input) {
+            ... on UpdatePageSuccess {
+                updatedPage {
+                    id
+                    title
+                }
+            }
+            ... on UpdatePageError {
+                errorCodes
+            }
+        }
+    }
+`;
+
+export class OmnivoreGraphql {
+    static get DEFAULT_BASE_URL() {
+        return 'https://api-prod.omnivore.app';
+    }
+
+    /**
+     * Create a client for the Omnivore GraphQL operations the official API client does not cover
+     * @param {string} apiKey - Omnivore API key
+     * @param {string} [baseUrl] - Base URL of the Omnivore instance
+     * @param {Object} [options] - Client options
+     * @param {number} [options.timeoutMs=30000] - Timeout of a single request
+     */
+    constructor(apiKey, baseUrl, { timeoutMs = 30000 } = {}) {
+        this.apiKey = apiKey;
+        this.endpoint = `${baseUrl || OmnivoreGraphql.DEFAULT_BASE_URL}/api/graphql`;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Create an error carrying an Omnivore error code
+     * @param {string} message - Error message
+     * @param {string} code - OmnivoreErrorCode value
+     * @returns {Error} Error with the code set
+     */
+    static createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Get the payload of a successful operation, or throw the error codes of a failed one
+     * @param {Object} result - Operation result, either a success or an error with errorCodes
+     * @param {string} field - Field of the success holding the payload
+     * @returns {*} Payload
+     */
+    static getPayload(result, field) {
+        if (!result?.[field]) {
+            throw OmnivoreGraphql.createError(
+                (result?.errorCodes || ['No data returned']).join(', '),
+                OmnivoreErrorCode.GraphQLError
+            );
+        }
+        return result[field];
+    }
+
+    /**
+     * Send a GraphQL request to Omnivore
+     * @param {string} query - GraphQL query or mutation
+     * @param {Object} [variables] - Query variables
+     * @returns {Promise<Object>} Response data
+     */
+    async request(query, variables = {}) {
+        let response;
+        try {
+            // eslint-disable-next-line no-undef
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: this.apiKey },
+                body: JSON.stringify({ query, variables }),
+                // eslint-disable-next-line no-undef
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw OmnivoreGraphql.createError(error.cause?.message || error.message, OmnivoreErrorCode.NetworkError);
+        }
+
+        if (!response.ok) {
+            throw OmnivoreGraphql.createError(
+                `HTTP ${response.status} ${response.statusText}`.trim(),
+                OmnivoreErrorCode.UnknownError
+            );
+        }
+
+        const body = await response.json();
+        if (body.errors?.length > 0) {
+            throw OmnivoreGraphql.createError(
+                body.errors.map(error => error.message).join(', '),
+                OmnivoreErrorCode.GraphQLError
+            );
+        }
+        return body.data;
+    }
+
+    /**
+     * Get the processing state and title of a saved article
+     * @param {string} id - Omnivore item id
+     * @returns {Promise<Object|null>} Article with id, title and state, or null if it does not exist yet
+     */
+    async getArticle(id) {
+        const data = await this.request(ARTICLE_QUERY, { slug: id });
+        return data.article?.article || null;
+    }
+
+    /**
+     * Change the title of a saved article
+     * @param {string} id - Omnivore item id
+     * @param {string} title - New title
+     * @returns {Promise<Object>} Updated article with its id and title
+     */
+    async updateTitle(id, title) {
+        const data = await this.request(UPDATE_PAGE_MUTATION, { input: { pageId: id, title } });
+        return OmnivoreGraphql.getPayload(data.updatePage, 'updatedPage');
+    }
+
+    /**
+     * List the labels of the user
+     * @returns {Promise<Array<Object>>} Labels with id, name, color and description
+     */
+    async getLabels() {
+        const data = await this.request(LABELS_QUERY);
+        return OmnivoreGraphql.getPayload(data.labels, 'labels');
+    }
+
+    /**
+     * Create a highlight on a saved article
+     * @param {Object} input - CreateHighlightInput fields
+     * @returns {Promise<Object>} Created highlight with its id
+     */
+    async createHighlight(input) {
+        const data = await this.request(CREATE_HIGHLIGHT_MUTATION, { input });
+        return OmnivoreGraphql.getPayload(data.createHighlight, 'highlight');
+    }
+}
@@ -0,0 +1,77 @@
+export class RateLimiter {
+    /**
+     * Create a token bucket that slows down when the API pushes back
+     * @param {Object} options - Limiter options
+     * @param {number} options.intervalMs - Base time between two tokens
+     * @param {number} [options.capacity=1] - Maximum burst of requests
+     * @param {number} [options.maxIntervalMs=30000] - Slowest rate reached when backing off
+     * @param {number} [options.backoffFactor=2] - Interval multiplier applied on each backoff
+     * @param {number} [options.recoveryFactor=0.9] - Interval multiplier applied on each success
+     */
+    constructor({ intervalMs, capacity = 1, maxIntervalMs = 30000, backoffFactor = 2, recoveryFactor = 0.9 }) {
+        this.baseIntervalMs = intervalMs;
+        this.intervalMs = intervalMs;
+        this.capacity = capacity;
+        this.maxIntervalMs = Math.max(maxIntervalMs, intervalMs);
+        this.backoffFactor = backoffFactor;
+        this.recoveryFactor = recoveryFactor;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        if (this.intervalMs <= 0) {
+            this.tokens = this.capacity;
+        } else {
+            const earned = (now - this.lastRefill) / this.intervalMs;
+            this.tokens = Math.min(this.capacity, this.tokens + earned);
+        }
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait for a token, one caller at a time
+     */
+    async take() {
+        this.refill();
+        while (this.tokens < 1) {
+            const waitMs = Math.ceil((1 - this.tokens) * this.intervalMs);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            this.refill();
+        }
+        this.tokens -= 1;
+    }
+
+    /**
+     * Wait until a request may be sent
+     * @returns {Promise<void>} Resolves when a token was taken
+     */
+    acquire() {
+        const turn = this.queue.then(() => this.take());
+        this.queue = turn;
+        return turn;
+    }
+
+    /**
+     * Slow down after a rate-limit or network error
+     * @returns {number} New interval between requests in milliseconds
+     */
+    backoff() {
+        const current = Math.max(this.intervalMs, 100);
+        this.intervalMs = Math.min(this.maxIntervalMs, current * this.backoffFactor);
+        this.tokens = 0;
+        return this.intervalMs;
+    }
+
+    /**
+     * Speed back up towards the base rate after a successful request
+     */
+    recover() {
+        this.intervalMs = Math.max(this.baseIntervalMs, this.intervalMs * this.recoveryFactor);
+    }
+}
@@ -0,0 +1,87 @@
+import { isOmnivoreError, OmnivoreErrorCode } from '@omnivore-app/api';
+
+// Failures that will not go away by sending the same request again
+const PERMANENT_ERROR_PATTERN = /unauthori[sz]ed|forbidden|invalid url|bad request|\b40[0134]\b/i;
+
+// Failures worth another attempt: timeouts, rate limiting, server errors and dropped connections
+const TRANSIENT_ERROR_PATTERN =
+    /timed? ?out|rate.?limit|too many requests|\b429\b|\b5\d\d\b|internal server error|bad gateway|service unavailable|socket hang up/i;
+
+const TRANSIENT_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    'EPIPE',
+    OmnivoreErrorCode.NetworkError
+]);
+
+export class RetryPolicy {
+    /**
+     * Create a retry policy with jittered exponential backoff
+     * @param {Object} [options] - Policy options
+     * @param {number} [options.maxRetries=3] - Retries allowed after the first attempt
+     * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+     * @param {number} [options.maxDelayMs=30000] - Upper bound for a single delay
+     * @param {Function} [options.random=Math.random] - Source of jitter, replaceable in tests
+     */
+    constructor({ maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = {}) {
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.random = random;
+    }
+
+    /**
+     * Check if an error is transient and the request can be retried
+     * @param {Error} error - Error thrown by the request
+     * @returns {boolean} True for network errors, timeouts, rate limiting and 5xx responses
+     */
+    static isTransient(error) {
+        const message = error?.message || '';
+
+        if (PERMANENT_ERROR_PATTERN.test(message)) {
+            return false;
+        }
+
+        if (isOmnivoreError(error) && error.code !== OmnivoreErrorCode.GraphQLError) {
+            // Network errors and empty responses
+            return true;
+        }
+
+        return TRANSIENT_ERROR_CODES.has(error?.code) || TRANSIENT_ERROR_PATTERN.test(message);
+    }
+
+    /**
+     * Compute the delay before a retry, between half and all of the exponential delay
+     * @param {number} retry - Retry number, starting at 1
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(retry) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (retry - 1));
+        return Math.round(exponential / 2 + (this.random() * exponential) / 2);
+    }
+
+    /**
+     * Run an operation, retrying it on transient errors
+     * @param {Function} operation - Async function to run
+     * @param {Function} [onRetry] - Called with (error, retry, delayMs) before each retry
+     * @returns {Promise<*>} Result of the operation
+     */
+    async execute(operation, onRetry = () => {}) {
+        for (let retry = 0; ; retry++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (retry >= this.maxRetries || !RetryPolicy.isTransient(error)) {
+                    error.retries = retry;
+                    throw error;
+                }
+
+                const delayMs = this.getDelay(retry + 1);
+                onRetry(error, retry + 1, delayMs);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+}
@@ -0,0 +1,165 @@
+// Dates of the --since and --until filters: a year, a month or a day
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+export class RowFilter {
+    /**
+     * Create a filter selecting the export rows to import
+     *
+     * A row is imported if it passes every filter given; a filter with several
+     * values, such as two tags, lets a row through if it matches any of them.
+     * @param {Object} [criteria] - Filter criteria
+     * @param {string} [criteria.since] - Import rows saved from this date (YYYY, YYYY-MM or YYYY-MM-DD)
+     * @param {string} [criteria.until] - Import rows saved up to this date, included
+     * @param {Array<string>} [criteria.statuses] - Pocket statuses to import, e.g. 'unread'
+     * @param {Array<string>} [criteria.tags] - Import rows with one of these tags
+     * @param {Array<string>} [criteria.excludeTags] - Skip rows with one of these tags
+     * @param {Array<string>} [criteria.domains] - Import rows from these domains or their subdomains
+     * @param {Array<string>} [criteria.excludeDomains] - Skip rows from these domains or their subdomains
+     */
+    constructor({
+        since = null,
+        until = null,
+        statuses = [],
+        tags = [],
+        excludeTags = [],
+        domains = [],
+        excludeDomains = []
+    } = {}) {
+        this.filters = [];
+
+        if (since) {
+            const start = RowFilter.parseDate(since, 'start');
+            this.addFilter(`--since ${since}`, row => RowFilter.getTimeAdded(row) >= start);
+        }
+        if (until) {
+            const end = RowFilter.parseDate(until, 'end');
+            this.addFilter(`--until ${until}`, row => RowFilter.getTimeAdded(row) < end);
+        }
+        if (statuses.length > 0) {
+            const wanted = statuses.map(status => status.toLowerCase());
+            this.addFilter(`--status ${statuses.join(',')}`, row =>
+                wanted.includes((row.status || '').trim().toLowerCase())
+            );
+        }
+        if (tags.length > 0) {
+            this.addFilter(`--tag ${tags.join(',')}`, row => RowFilter.hasAnyTag(row, tags));
+        }
+        if (excludeTags.length > 0) {
+            this.addFilter(`--exclude-tag ${excludeTags.join(',')}`, row => !RowFilter.hasAnyTag(row, excludeTags));
+        }
+        if (domains.length > 0) {
+            this.addFilter(`--domain ${domains.join(',')}`, row => RowFilter.isFromAnyDomain(row, domains));
+        }
+        if (excludeDomains.length > 0) {
+            this.addFilter(
+                `--exclude-domain ${excludeDomains.join(',')}`,
+                row => !RowFilter.isFromAnyDomain(row, excludeDomains)
+            );
+        }
+    }
+
+    /**
+     * Parse the date of a --since or --until filter
+     * @param {string} value - Year (YYYY), month (YYYY-MM) or day (YYYY-MM-DD), in UTC
+     * @param {string} bound - 'start' for the first millisecond of the period, 'end' for the first one after it
+     * @returns {number} Timestamp in milliseconds
+     */
+    static parseDate(value, bound) {
+        const invalid = new Error(`Invalid date "${value}", expected YYYY, YYYY-MM or YYYY-MM-DD`);
+        const match = DATE_PATTERN.exec(String(value).trim());
+        if (!match) {
+            throw invalid;
+        }
+
+        const [year, month, day] = [match[1], match[2] ?? 1, match[3] ?? 1].map(Number);
+        const start = new Date(Date.UTC(year, month - 1, day));
+        if (start.getUTCMonth() !== month - 1 || start.getUTCDate() !== day) {
+            throw invalid; // e.g. 2022-02-30 or 2022-13
+        }
+        if (bound !== 'end') {
+            return start.getTime();
+        }
+
+        // The period given ends where the next year, month or day starts
+        if (match[3]) {
+            start.setUTCDate(start.getUTCDate() + 1);
+        } else if (match[2]) {
+            start.setUTCMonth(start.getUTCMonth() + 1);
+        } else {
+            start.setUTCFullYear(start.getUTCFullYear() + 1);
+        }
+        return start.getTime();
+    }
+
+    /**
+     * Get when a row was saved to Pocket
+     * @param {Object} row - Export row
+     * @returns {number} Timestamp in milliseconds, NaN if the row has none, which no date filter lets through
+     */
+    static getTimeAdded(row) {
+        return parseInt(row.time_added, 10) * 1000;
+    }
+
+    /**
+     * Check if a row has one of the given tags, ignoring case
+     * @param {Object} row - Export row
+     * @param {Array<string>} tags - Tags to look for
+     * @returns {boolean} True if the row has one of the tags
+     */
+    static hasAnyTag(row, tags) {
+        const rowTags = (row.tags || '').split('|').map(tag => tag.trim().toLowerCase());
+        return tags.some(tag => rowTags.includes(tag.toLowerCase()));
+    }
+
+    /**
+     * Check if the URL of a row belongs to one of the given domains or their subdomains
+     * @param {Object} row - Export row
+     * @param {Array<string>} domains - Domains such as youtube.com
+     * @returns {boolean} True if the row comes from one of the domains, false for an invalid URL
+     */
+    static isFromAnyDomain(row, domains) {
+        let hostname;
+        try {
+            // eslint-disable-next-line no-undef
+            hostname = new URL((row.url || '').trim()).hostname.toLowerCase();
+        } catch {
+            return false;
+        }
+
+        return domains
+            .map(domain => domain.toLowerCase().replace(/^www\./, ''))
+            .some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Add a filter
+     * @param {string} description - Option the filter comes from, for the report
+     * @param {Function} accepts - Returns true for the rows to import
+     */
+    addFilter(description, accepts) {
+        this.filters.push({ description, accepts, dropped: 0 });
+    }
+
+    /**
+     * Check a row against every filter
+     *
+     * The row is counted as dropped by the first filter it does not pass.
+     * @param {Object} row - Export row
+     * @returns {boolean} True if the row is to be imported
+     */
+    accepts(row) {
+        const failed = this.filters.find(filter => !filter.accepts(row));
+        if (failed) {
+            failed.dropped++;
+        }
+        return !failed;
+    }
+
+    /**
+     * Report how many rows each filter dropped
+     * @returns {Array<Object>} Filter descriptions with their dropped row count, in filter order
+     */
+    getReport() {
+        return this.filters.map(({ description, dropped }) => ({ filter: description, dropped }));
+    }
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+
+export class RunReport {
+    static get OUTCOMES() {
+        return ['saved', 'planned', 'skipped', 'failed'];
+    }
+
+    /**
+     * Create the machine-readable report of an import run
+     *
+     * The report holds the configuration of the run, its timings, the final
+     * statistics, the number of rows of each outcome and one entry per row
+     * that was not saved, so that two runs can be diffed or the results fed
+     * into other tools. Saved rows are only counted, keeping memory flat on
+     * large exports.
+     * @param {Object} config - Configuration of the run: input paths, Omnivore base URL and importer options
+     * @param {Object} [options] - Report options
+     * @param {Function} [options.now] - Returns the current date
+     */
+    constructor(config, { now = () => new Date() } = {}) {
+        this.config = config;
+        this.now = now;
+        this.startedAt = now();
+        this.outcomes = Object.fromEntries(RunReport.OUTCOMES.map(outcome => [outcome, 0]));
+        this.rows = [];
+    }
+
+    /**
+     * Get the outcome of a processed row
+     * @param {Object} result - Processing result of the row
+     * @returns {string} 'saved', 'planned' for a dry run, 'skipped' or 'failed'
+     */
+    static getOutcome(result) {
+        if (result.failed) {
+            return 'failed';
+        }
+        if (!result.success) {
+            return 'skipped';
+        }
+        return result.planned ? 'planned' : 'saved';
+    }
+
+    /**
+     * Get why a row was not saved
+     * @param {Object} result - Processing result of the row
+     * @returns {string|null} Skip reason or error message, null for saved rows
+     */
+    static getReason(result) {
+        if (result.success) {
+            return null;
+        }
+        if (result.resumed) {
+            return 'Already imported by a previous run';
+        }
+        if (result.alreadyPresent) {
+            return 'Already saved in Omnivore';
+        }
+        return result.reason ?? null;
+    }
+
+    /**
+     * Record the outcome of a processed row, keeping the details of rows that were not saved
+     * @param {number} rowNum - Row number in the export
+     * @param {Object} result - Processing result of the row
+     */
+    addRow(rowNum, result) {
+        const outcome = RunReport.getOutcome(result);
+        this.outcomes[outcome]++;
+        if (outcome === 'saved' || outcome === 'planned') {
+            return;
+        }
+
+        this.rows.push({
+            row: rowNum,
+            url: result.url,
+            title: result.title,
+            outcome,
+            id: result.id ?? null,
+            labels: result.labels ?? [],
+            archived: Boolean(result.isArchived),
+            archiveRule: result.archiveRule ?? null,
+            reason: RunReport.getReason(result),
+            errorCode: result.errorCode || null
+        });
+    }
+
+    /**
+     * Record a row the row filters dropped
+     * @param {number} rowNum - Row number in the export
+     * @param {Object} row - Raw export row
+     */
+    addFilteredRow(rowNum, row) {
+        this.addRow(rowNum, {
+            skipped: true,
+            url: (row.url || '').trim(),
+            title: (row.title || '').trim(),
+            reason: 'Filtered out'
+        });
+    }
+
+    /**
+     * Build the report
+     * @param {Object|null} stats - Final import statistics, null if the import stopped
+     * @param {Error|null} [error] - Error that stopped the import
+     * @returns {Object} Report ready to be serialized
+     */
+    build(stats, error = null) {
+        const finishedAt = this.now();
+        return {
+            status: error ? 'failed' : 'completed',
+            error: error?.message ?? null,
+            config: this.config,
+            timings: {
+                startedAt: this.startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - this.startedAt
+            },
+            stats,
+            outcomes: { ...this.outcomes },
+            // Concurrent workers finish rows out of order
+            rows: [...this.rows].sort((a, b) => a.row - b.row)
+        };
+    }
+
+    /**
+     * Write the report as JSON
+     * @param {string} filePath - Destination path
+     * @param {Object|null} stats - Final import statistics, null if the import stopped
+     * @param {Error|null} [error] - Error that stopped the import
+     */
+    write(filePath, stats, error = null) {
+        fs.writeFileSync(filePath, `${JSON.stringify(this.build(stats, error), null, 2)}\n`);
+    }
+}
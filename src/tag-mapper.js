@@ -0,0 +1,192 @@
+import { ConfigFile } from './config-file.js';
+import { TagProcessor } from './tag-processor.js';
+
+// Label colors are hex codes such as #EF8C43 or #F80
+const COLOR_PATTERN = /^#(?:[\da-f]{3}){1,2}$/i;
+
+export class TagMapper {
+    /**
+     * Create a mapper turning Pocket tags into Omnivore labels
+     *
+     * Rules are tried in order and the first one matching a tag applies:
+     * - match: "js", label: "JavaScript"              renames a tag
+     * - match: ["js", "javascript"], label: "JavaScript"  merges several tags
+     * - pattern: "^lang-(.+)$", label: "$1"           rewrites tags matching a regex
+     * - match or pattern with drop: true              drops the tag
+     * Tags matching no rule are kept as they are. Exact matches ignore case.
+     * @param {Object} [config] - Parsed mapping file
+     * @param {Array<Object>} [config.rules] - Mapping rules
+     * @param {Object} [config.labels] - Color and description of labels, by label name
+     * @param {string} [config.defaultColor] - Color of labels not listed in config.labels, picked from the palette by default
+     */
+    constructor({ rules = [], labels = {}, defaultColor = null } = {}) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Invalid tag mapping: "rules" must be a list');
+        }
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+            throw new Error('Invalid tag mapping: "labels" must map label names to their color and description');
+        }
+
+        this.defaultColor = defaultColor === null ? null : TagMapper.validateColor(defaultColor, 'defaultColor');
+        this.rules = rules.map((rule, index) => TagMapper.compileRule(rule, index + 1));
+        this.labels = new Map(
+            Object.entries(labels).map(([name, details]) => [name.toLowerCase(), TagMapper.compileLabel(name, details)])
+        );
+    }
+
+    /**
+     * Load a JSON or YAML mapping file
+     * @param {string} filePath - Path to the mapping file (.json, .yaml or .yml)
+     * @returns {Promise<TagMapper>} Mapper applying the rules of the file
+     */
+    static async load(filePath) {
+        return new TagMapper(await ConfigFile.load(filePath, 'tag mapping'));
+    }
+
+    /**
+     * Check a label color
+     * @param {string} color - Hex color code
+     * @param {string} context - Where the color comes from, for error reporting
+     * @returns {string} The color
+     */
+    static validateColor(color, context) {
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            throw new Error(`Invalid tag mapping: ${context} color "${color}" is not a hex color such as #EF8C43`);
+        }
+        return color;
+    }
+
+    /**
+     * Validate a rule and prepare it for matching
+     * @param {Object} rule - Rule from the mapping file
+     * @param {number} number - Position of the rule, starting at 1
+     * @returns {Object} Compiled rule with its description and hit count
+     */
+    static compileRule(rule, number) {
+        const context = `rule ${number}`;
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Invalid tag mapping: ${context} must be an object`);
+        }
+        if ((rule.match === undefined) === (rule.pattern === undefined)) {
+            throw new Error(`Invalid tag mapping: ${context} needs either "match" or "pattern"`);
+        }
+
+        const drop = rule.drop === true;
+        if (!drop && (typeof rule.label !== 'string' || rule.label.trim() === '')) {
+            throw new Error(`Invalid tag mapping: ${context} needs a "label" or "drop: true"`);
+        }
+
+        const matches = rule.match === undefined ? null : [].concat(rule.match).map(tag => String(tag).toLowerCase());
+        const pattern = rule.pattern === undefined ? null : this.compilePattern(rule.pattern, rule.flags, context);
+        const label = drop ? null : rule.label.trim();
+
+        return {
+            number,
+            matches,
+            pattern,
+            label,
+            drop,
+            description: this.describeRule(matches, pattern, label),
+            hits: 0
+        };
+    }
+
+    /**
+     * Compile the regex of a pattern rule
+     * @param {string} pattern - Regular expression source
+     * @param {string} [flags] - Regular expression flags, case-insensitive by default
+     * @param {string} context - Rule being compiled, for error reporting
+     * @returns {RegExp} Compiled pattern
+     */
+    static compilePattern(pattern, flags, context) {
+        try {
+            // A global or sticky regex remembers its last match, which would skip tags
+            return new RegExp(pattern, String(flags ?? 'i').replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new Error(`Invalid tag mapping: ${context} has an invalid pattern: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe a rule for the rule report
+     * @param {Array<string>|null} matches - Tags matched exactly
+     * @param {RegExp|null} pattern - Tag pattern
+     * @param {string|null} label - Resulting label, null for a drop rule
+     * @returns {string} Readable rule description
+     */
+    static describeRule(matches, pattern, label) {
+        const source = pattern ? String(pattern) : matches.map(tag => `"${tag}"`).join(', ');
+        if (label === null) {
+            return `drop ${source}`;
+        }
+
+        let kind = 'rename';
+        if (pattern) {
+            kind = 'rewrite';
+        } else if (matches.length > 1) {
+            kind = 'merge';
+        }
+        return `${kind} ${source} → "${label}"`;
+    }
+
+    /**
+     * Validate the color and description of a label
+     * @param {string} name - Label name
+     * @param {Object} details - Label color and description
+     * @returns {Object} Label with its name, color and description
+     */
+    static compileLabel(name, details) {
+        const { color, description = '' } = details || {};
+        return {
+            name,
+            color: color === undefined ? undefined : this.validateColor(color, `label "${name}"`),
+            description: String(description)
+        };
+    }
+
+    /**
+     * Check if a rule applies to a tag
+     * @param {Object} rule - Compiled rule
+     * @param {string} tag - Pocket tag
+     * @returns {boolean} True if the rule matches the tag
+     */
+    matchesRule(rule, tag) {
+        return rule.pattern ? rule.pattern.test(tag) : rule.matches.includes(tag.toLowerCase());
+    }
+
+    /**
+     * Map a Pocket tag to an Omnivore label
+     * @param {string} tag - Pocket tag
+     * @returns {Object|null} Label object, or null if the tag is dropped
+     */
+    mapTag(tag) {
+        const rule = this.rules.find(candidate => this.matchesRule(candidate, tag));
+        let name = tag;
+
+        if (rule) {
+            rule.hits++;
+            if (rule.drop) {
+                return null;
+            }
+            name = (rule.pattern ? tag.replace(rule.pattern, rule.label) : rule.label).trim();
+            if (!name) {
+                return null;
+            }
+        }
+
+        const details = this.labels.get(name.toLowerCase());
+        return {
+            name: details?.name ?? name,
+            color: details?.color ?? this.defaultColor ?? TagProcessor.getLabelColor(name),
+            description: details?.description ?? ''
+        };
+    }
+
+    /**
+     * Report how many tags each rule was applied to
+     * @returns {Array<Object>} Rule descriptions with their hit count, in rule order
+     */
+    getReport() {
+        return this.rules.map(rule => ({ rule: `#${rule.number} ${rule.description}`, hits: rule.hits }));
+    }
+}
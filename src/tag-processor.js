@@ -1,14 +1,100 @@
+// Colors given to new labels, picked from the label name so a label always gets the same one
+const LABEL_PALETTE = [
+    '#EF8C43', // Orange
+    '#E55C5C', // Red
+    '#D6A41E', // Yellow
+    '#7CB342', // Green
+    '#26A69A', // Teal
+    '#29B6F6', // Light blue
+    '#3F7DD8', // Blue
+    '#7E57C2', // Purple
+    '#C2185B', // Magenta
+    '#EC6FA8', // Pink
+    '#8D6E63', // Brown
+    '#78909C' // Blue grey
+];
+
 export class TagProcessor {
     static get DEFAULT_TAG_COLOR() {
         return '#EF8C43'; // Default orange color
     }
 
+    static get LABEL_PALETTE() {
+        return LABEL_PALETTE;
+    }
+
+    static get HIERARCHY_MODES() {
+        return ['flat', 'expand', 'leaf'];
+    }
+
+    static get DEFAULT_TAG_SEPARATORS() {
+        return '/:';
+    }
+
+    /**
+     * Pick the color of a new label from the palette
+     *
+     * The color comes from a hash of the lowercase name, so a label gets the
+     * same color in every run and whatever the case of the Pocket tag.
+     * @param {string} name - Label name
+     * @returns {string} Hex color code
+     */
+    static getLabelColor(name) {
+        // 32-bit FNV-1a hash
+        let hash = 0x811c9dc5;
+        for (const char of name.toLowerCase()) {
+            hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+        }
+        return LABEL_PALETTE[(hash >>> 0) % LABEL_PALETTE.length];
+    }
+
+    /**
+     * Split a hierarchical tag such as "work/frontend/react" into its levels
+     *
+     * In 'expand' mode the path down to every level becomes a tag (work,
+     * work/frontend and work/frontend/react), keeping the separators as
+     * written, so a label filter on an ancestor finds everything below it.
+     * In 'leaf' mode only the last level is kept. Tags without a separator
+     * are kept as they are.
+     * @param {string} tag - Pocket tag
+     * @param {Object} hierarchy - Hierarchy settings
+     * @param {string} hierarchy.mode - 'expand' or 'leaf'
+     * @param {string} [hierarchy.separators] - Characters separating the levels
+     * @returns {Array<string>} Tags the hierarchical tag stands for
+     */
+    static splitHierarchy(tag, { mode, separators = this.DEFAULT_TAG_SEPARATORS }) {
+        // Escape the characters that are special in a character class
+        const separatorPattern = new RegExp(`([${separators.replace(/[\\\]^-]/g, '\\$&')}])`);
+        // Levels at even indexes, the separators between them at odd ones
+        const parts = tag.split(separatorPattern);
+
+        const paths = [];
+        let path = '';
+        let pendingSeparators = '';
+        parts.forEach((part, index) => {
+            if (index % 2 === 1) {
+                pendingSeparators += part;
+                return;
+            }
+            const level = part.trim();
+            if (level.length === 0) {
+                return;
+            }
+            path = path ? `${path}${pendingSeparators}${level}` : level;
+            pendingSeparators = '';
+            paths.push(mode === 'leaf' ? level : path);
+        });
+        return mode === 'leaf' ? paths.slice(-1) : paths;
+    }
+
     /**
      * Process tags string into Omnivore labels
      * @param {string} tagsString - Pipe-separated tags string
+     * @param {TagMapper} [mapper] - Mapping rules renaming, merging or dropping tags
+     * @param {Object} [hierarchy] - Hierarchy settings for splitHierarchy, tags are flat if omitted or in 'flat' mode
      * @returns {Array} Array of label objects
      */
-    static processTags(tagsString) {
+    static processTags(tagsString, mapper = null, hierarchy = null) {
         if (!tagsString || tagsString.trim() === '') {
             return [];
         }
@@ -18,16 +104,43 @@ export class TagProcessor {
             return [];
         }
 
-        const tagList = tagsString
+        let tagList = tagsString
             .split('|')
             .map(tag => tag.trim())
             .filter(tag => tag && tag.length > 0);
 
-        return tagList.map(tag => ({
+        const nested = Boolean(hierarchy) && hierarchy.mode !== 'flat';
+        if (!mapper && !nested) {
+            return tagList.map(tag => this.createLabel(tag));
+        }
+
+        if (nested) {
+            // Levels are mapped like any other tag, so rules can rename or drop them
+            tagList = tagList.flatMap(tag => this.splitHierarchy(tag, hierarchy));
+        }
+
+        // Merged tags and levels shared by several tags map to the same label, keep it once
+        const labels = new Map();
+        for (const tag of tagList) {
+            const label = mapper ? mapper.mapTag(tag) : this.createLabel(tag);
+            if (label && !labels.has(label.name.toLowerCase())) {
+                labels.set(label.name.toLowerCase(), label);
+            }
+        }
+        return [...labels.values()];
+    }
+
+    /**
+     * Create the label of a tag imported as it is
+     * @param {string} tag - Pocket tag
+     * @returns {Object} Label object
+     */
+    static createLabel(tag) {
+        return {
             name: tag,
-            color: this.DEFAULT_TAG_COLOR,
+            color: this.getLabelColor(tag),
             description: ''
-        }));
+        };
     }
 
     /**
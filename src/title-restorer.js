@@ -0,0 +1,74 @@
+import { ArticlePoller } from './article-poller.js';
+
+export class TitleRestorer {
+    static get POLICIES() {
+        return ['always', 'if-empty', 'never'];
+    }
+
+    /**
+     * Create a restorer giving saved articles back their Pocket title
+     *
+     * Omnivore replaces the title of an article once it has fetched its page,
+     * so titles are only changed after the article has finished processing.
+     * @param {OmnivoreGraphql} graphql - Omnivore GraphQL client
+     * @param {Object} [options] - Restorer options
+     * @param {string} [options.policy='always'] - 'always' or 'if-empty', when the fetched title is missing
+     * @param {Function} [options.request] - Wraps each Omnivore request, e.g. to rate limit and retry it
+     * @param {number} [options.pollIntervalMs=2000] - Delay between two checks of an article still processing
+     * @param {number} [options.maxPollAttempts=30] - Checks before giving up on an article still processing
+     */
+    constructor(graphql, { policy = 'always', request = operation => operation(), ...pollOptions } = {}) {
+        this.graphql = graphql;
+        this.policy = policy;
+        this.request = request;
+        this.poller = new ArticlePoller(graphql, { request, ...pollOptions });
+    }
+
+    /**
+     * Check if the title Omnivore found for an article is missing
+     *
+     * Omnivore uses the URL as title until it has fetched the page, and keeps
+     * it when the page could not be fetched.
+     * @param {string} title - Title of the article in Omnivore
+     * @param {string} url - Article URL
+     * @returns {boolean} True if the article has no real title
+     */
+    static isEmptyTitle(title, url) {
+        const trimmed = (title || '').trim();
+        return trimmed === '' || trimmed === url;
+    }
+
+    /**
+     * Give an article its Pocket title back, according to the policy
+     * @param {Object} item - Saved article
+     * @param {string} item.id - Omnivore item id
+     * @param {string} item.url - Article URL
+     * @param {string} item.title - Pocket title
+     * @returns {Promise<Object>} Outcome: 'updated', 'kept' or 'failed', with the reason of a failure
+     */
+    async restoreTitle({ id, url, title }) {
+        let article;
+        try {
+            article = await this.poller.waitForArticle(id);
+        } catch (error) {
+            return { status: 'failed', reason: `Article could not be read: ${error.message}` };
+        }
+
+        if (article.state === ArticlePoller.PROCESSING_STATE) {
+            return { status: 'failed', reason: 'Article still processing in Omnivore' };
+        }
+        if (article.title === title) {
+            return { status: 'kept' };
+        }
+        if (this.policy === 'if-empty' && !TitleRestorer.isEmptyTitle(article.title, url)) {
+            return { status: 'kept' };
+        }
+
+        try {
+            await this.request(() => this.graphql.updateTitle(id, title));
+            return { status: 'updated' };
+        } catch (error) {
+            return { status: 'failed', reason: `Title update failed: ${error.message}` };
+        }
+    }
+}
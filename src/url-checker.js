@@ -0,0 +1,160 @@
+import https from 'https';
+import http from 'http';
+
+// Statuses meaning the page is gone for good
+const DEAD_STATUS_CODES = [404, 410];
+
+// Statuses of sites refusing the check or failing for now, the page may well exist
+const UNCERTAIN_STATUS_CODES = [401, 403, 407, 408, 425, 429];
+
+// Network errors meaning the site is gone, other errors may be temporary
+const DEAD_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ERR_INVALID_URL'];
+
+export class UrlChecker {
+    static get DEAD_STATUS_CODES() {
+        return DEAD_STATUS_CODES;
+    }
+
+    /**
+     * Create a checker telling whether article URLs still work
+     *
+     * A HEAD request is sent first. Many sites reject HEAD or refuse unknown
+     * clients, so a URL HEAD does not confirm is checked again with a GET of
+     * its first byte. Redirects are followed, across protocols too.
+     * @param {Object} [options] - Checker options
+     * @param {number} [options.timeoutMs=10000] - Timeout of each request, retried once on timeout
+     * @param {number} [options.maxRedirects=5] - Redirects followed before giving up
+     * @param {string} [options.userAgent] - User-Agent header sent with each request
+     */
+    constructor({
+        timeoutMs = 10000,
+        maxRedirects = 5,
+        userAgent = 'Mozilla/5.0 (compatible; PocketToOmnivore/1.0)'
+    } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.maxRedirects = maxRedirects;
+        this.userAgent = userAgent;
+    }
+
+    /**
+     * Check whether a URL is alive
+     * @param {string} url - URL to check
+     * @returns {Promise<Object>} Check result: status ('alive', 'dead' or 'uncertain'), statusCode,
+     *   reason, finalUrl after redirects and number of redirects followed
+     */
+    async check(url) {
+        const head = await this.follow(url, 'HEAD');
+        const result = UrlChecker.classify(head);
+        if (result.status === 'alive' || !UrlChecker.needsGetFallback(head)) {
+            return result;
+        }
+
+        return UrlChecker.classify(await this.follow(url, 'GET'));
+    }
+
+    /**
+     * Check if a GET request may tell more than a failed HEAD request
+     * @param {Object} response - Outcome of the HEAD request, see follow
+     * @returns {boolean} False for missing pages, unknown hosts and timeouts, which GET would not change
+     */
+    static needsGetFallback({ statusCode, error }) {
+        if (error) {
+            return !DEAD_ERROR_CODES.includes(error) && error !== 'Timeout' && error !== 'Too many redirects';
+        }
+        return !DEAD_STATUS_CODES.includes(statusCode);
+    }
+
+    /**
+     * Classify the outcome of a request
+     * @param {Object} response - Outcome of the request, see follow
+     * @returns {Object} Check result, see check
+     */
+    static classify({ statusCode = null, error = null, finalUrl, redirects }) {
+        const details = { statusCode, finalUrl, redirects };
+        if (error) {
+            const status = DEAD_ERROR_CODES.includes(error) ? 'dead' : 'uncertain';
+            return { status, reason: error, ...details };
+        }
+        if (statusCode >= 200 && statusCode < 300) {
+            return { status: 'alive', reason: 'OK', ...details };
+        }
+
+        // Redirects without a location, rate limits and server errors don't say the page is gone
+        const uncertain = statusCode < 400 || statusCode >= 500 || UNCERTAIN_STATUS_CODES.includes(statusCode);
+        return { status: uncertain ? 'uncertain' : 'dead', reason: `HTTP ${statusCode}`, ...details };
+    }
+
+    /**
+     * Send a request and follow its redirects
+     * @param {string} url - URL to request
+     * @param {string} method - 'HEAD', or 'GET' for the first byte only
+     * @returns {Promise<Object>} statusCode of the last response or network error code, with the
+     *   finalUrl reached and the number of redirects followed
+     */
+    async follow(url, method) {
+        let currentUrl = url;
+        for (let redirects = 0; ; redirects++) {
+            const response = await this.send(method, currentUrl);
+            const isRedirect = response.statusCode >= 300 && response.statusCode < 400 && response.location;
+            if (!isRedirect) {
+                return { ...response, finalUrl: currentUrl, redirects };
+            }
+            if (redirects >= this.maxRedirects) {
+                return { error: 'Too many redirects', finalUrl: currentUrl, redirects };
+            }
+
+            try {
+                // eslint-disable-next-line no-undef
+                currentUrl = new URL(response.location, currentUrl).href;
+            } catch {
+                return { statusCode: response.statusCode, finalUrl: currentUrl, redirects };
+            }
+        }
+    }
+
+    /**
+     * Send a request, once more if it times out
+     * @param {string} method - HTTP method
+     * @param {string} url - URL to request
+     * @returns {Promise<Object>} statusCode and location of the response, or network error code
+     */
+    async send(method, url) {
+        const response = await this.sendOnce(method, url);
+        return response.error === 'Timeout' ? this.sendOnce(method, url) : response;
+    }
+
+    /**
+     * Send a single request without reading the response body
+     * @param {string} method - HTTP method
+     * @param {string} url - URL to request
+     * @returns {Promise<Object>} statusCode and location of the response, or network error code
+     */
+    sendOnce(method, url) {
+        return new Promise(resolve => {
+            let request;
+            try {
+                // eslint-disable-next-line no-undef
+                const urlObj = new URL(url);
+                const httpModule = urlObj.protocol === 'https:' ? https : http;
+                const headers = { 'User-Agent': this.userAgent, Accept: '*/*' };
+                if (method === 'GET') {
+                    headers.Range = 'bytes=0-0';
+                }
+                request = httpModule.request(urlObj, { method, headers, timeout: this.timeoutMs }, response => {
+                    response.destroy();
+                    resolve({ statusCode: response.statusCode, location: response.headers.location });
+                });
+            } catch (error) {
+                resolve({ error: error.code || error.message });
+                return;
+            }
+
+            request.on('error', error => resolve({ error: error.code || error.message }));
+            request.on('timeout', () => {
+                resolve({ error: 'Timeout' });
+                request.destroy();
+            });
+            request.end();
+        });
+    }
+}
@@ -0,0 +1,51 @@
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|igshid)$/i;
+
+export class UrlUtils {
+    /**
+     * Normalize a URL so different spellings of the same page compare equal
+     *
+     * Ignores the protocol, a leading "www.", default ports, the fragment,
+     * tracking parameters, query parameter order and a trailing slash.
+     * @param {string} url - URL to normalize
+     * @returns {string} Normalized URL, or the trimmed input if it is not a valid URL
+     */
+    static normalize(url) {
+        let urlObj;
+        try {
+            // eslint-disable-next-line no-undef
+            urlObj = new URL(url.trim());
+        } catch {
+            return url.trim().toLowerCase();
+        }
+
+        const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+        const port = urlObj.port ? `:${urlObj.port}` : '';
+        let pathname = urlObj.pathname;
+        while (pathname.endsWith('/')) {
+            pathname = pathname.slice(0, -1);
+        }
+
+        const params = [...urlObj.searchParams.entries()]
+            .filter(([name]) => !TRACKING_PARAM_PATTERN.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        // eslint-disable-next-line no-undef
+        const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+        return `${host}${port}${pathname}${query}`;
+    }
+
+    /**
+     * Get the domain of a URL without a leading "www."
+     * @param {string} url - URL to inspect
+     * @returns {string|null} Lowercase domain, or null if the URL is not valid
+     */
+    static getDomain(url) {
+        try {
+            // eslint-disable-next-line no-undef
+            return new URL(url.trim()).hostname.toLowerCase().replace(/^www\./, '');
+        } catch {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,65 @@
+export class WaybackClient {
+    static get DEFAULT_ENDPOINT() {
+        return 'https://archive.org/wayback/available';
+    }
+
+    /**
+     * Create a client finding Internet Archive snapshots of dead links
+     * @param {Object} [options] - Client options
+     * @param {string} [options.endpoint] - Wayback Machine availability API, e.g. a local stub for testing
+     * @param {number} [options.timeoutMs=10000] - Timeout of a single lookup
+     */
+    constructor({ endpoint = WaybackClient.DEFAULT_ENDPOINT, timeoutMs = 10000 } = {}) {
+        this.endpoint = endpoint;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Convert a Pocket timestamp to a Wayback Machine timestamp
+     * @param {string} timeAdded - Unix timestamp string
+     * @returns {string|null} Timestamp such as 20210101120000, or null without a valid date
+     */
+    static toTimestamp(timeAdded) {
+        const seconds = parseInt(timeAdded, 10);
+        if (isNaN(seconds)) {
+            return null;
+        }
+        return new Date(seconds * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+    }
+
+    /**
+     * Find the snapshot of a URL closest to the time it was saved to Pocket
+     * @param {string} url - Dead article URL
+     * @param {string} [timeAdded] - Unix timestamp string, the latest snapshot is found without it
+     * @returns {Promise<Object|null>} Snapshot url and timestamp, or null if the page was never archived
+     */
+    async findSnapshot(url, timeAdded) {
+        // eslint-disable-next-line no-undef
+        const lookupUrl = new URL(this.endpoint);
+        lookupUrl.searchParams.set('url', url);
+        const timestamp = WaybackClient.toTimestamp(timeAdded);
+        if (timestamp) {
+            lookupUrl.searchParams.set('timestamp', timestamp);
+        }
+
+        let response;
+        try {
+            // eslint-disable-next-line no-undef
+            response = await fetch(lookupUrl, { signal: AbortSignal.timeout(this.timeoutMs) });
+        } catch (error) {
+            throw new Error(`Wayback Machine lookup failed: ${error.cause?.message || error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Wayback Machine lookup failed: HTTP ${response.status}`);
+        }
+
+        const closest = (await response.json())?.archived_snapshots?.closest;
+        if (!closest?.available || !closest.url || !String(closest.status ?? '200').startsWith('2')) {
+            return null;
+        }
+        return {
+            url: closest.url.replace(/^http:\/\/web\.archive\.org\//, 'https://web.archive.org/'),
+            timestamp: closest.timestamp
+        };
+    }
+}
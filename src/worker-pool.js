@@ -0,0 +1,41 @@
+export class WorkerPool {
+    /**
+     * Process items with a bounded number of concurrent workers
+     *
+     * Once a worker throws, no new items are started; the items already in
+     * flight are allowed to finish and the first error is then re-thrown.
+     * Async iterables are pulled one item at a time, so a stream of items is
+     * only read as fast as the workers process it.
+     * @param {Iterable|AsyncIterable} items - Items to process, consumed in order
+     * @param {number} concurrency - Maximum number of items processed at once
+     * @param {Function} worker - Async function called with each item
+     * @returns {Promise<void>} Resolves when every item has been processed
+     */
+    static async run(items, concurrency, worker) {
+        const iterator = items[Symbol.asyncIterator]?.() ?? items[Symbol.iterator]();
+        let firstError = null;
+
+        const runWorker = async () => {
+            while (!firstError) {
+                try {
+                    const { value, done } = await iterator.next();
+                    if (done) {
+                        return;
+                    }
+                    await worker(value);
+                } catch (error) {
+                    firstError ??= error;
+                }
+            }
+        };
+
+        const workerCount = Math.max(1, concurrency);
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+        if (firstError) {
+            // Let the source release what it holds, e.g. close the file being read
+            await iterator.return?.();
+            throw firstError;
+        }
+    }
+}
@@ -0,0 +1,193 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ArchivePolicy } from '../src/archive-policy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+const toTimeAdded = date => String(Date.parse(date) / 1000);
+
+const POLICY_YAML = `
+default: pocket
+rules:
+  - name: keep reference
+    when:
+      tag: reference
+    action: unread
+  - when:
+      olderThan: 2y
+    action: archive
+`;
+
+describe('ArchivePolicy', () => {
+    const testDataDir = path.join(__dirname, 'test-data-archive-policy');
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('load', () => {
+        it('should load YAML policy files', async () => {
+            const policyPath = path.join(testDataDir, 'archive.yaml');
+            fs.writeFileSync(policyPath, POLICY_YAML);
+
+            const policy = await ArchivePolicy.load(policyPath, { now: NOW });
+
+            assert.strictEqual(policy.rules.length, 2);
+            assert.strictEqual(policy.evaluate({ status: 'unread', tags: ['Reference'] }).archive, false);
+        });
+
+        it('should reject unreadable files', async () => {
+            await assert.rejects(() => ArchivePolicy.load(path.join(testDataDir, 'missing.yaml')), {
+                message: /Cannot read archive policy file/
+            });
+        });
+    });
+
+    describe('constructor', () => {
+        it('should reject unknown actions and conditions', () => {
+            assert.throws(() => new ArchivePolicy({ rules: [{ action: 'delete' }] }), {
+                message: /rule 1 action "delete" must be one of archive, unread, pocket/
+            });
+            assert.throws(() => new ArchivePolicy({ default: 'star' }), {
+                message: /default action "star"/
+            });
+            assert.throws(() => new ArchivePolicy({ rules: [{ when: { starred: true }, action: 'archive' }] }), {
+                message: /rule 1 has an unknown condition "starred"/
+            });
+        });
+
+        it('should reject invalid ages and rule lists', () => {
+            assert.throws(
+                () => new ArchivePolicy({ rules: [{ when: { olderThan: 'two years' }, action: 'archive' }] }),
+                {
+                    message: /rule 1 age "two years" must look like 30d, 6w, 18m or 2y/
+                }
+            );
+            assert.throws(() => new ArchivePolicy({ rules: { action: 'archive' } }), {
+                message: /"rules" must be a list/
+            });
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should mirror the Pocket status by default', () => {
+            const policy = new ArchivePolicy();
+
+            assert.deepStrictEqual(policy.evaluate({ status: 'archive' }), { archive: true, rule: 'default: pocket' });
+            assert.deepStrictEqual(policy.evaluate({ status: 'unread' }), { archive: false, rule: 'default: pocket' });
+        });
+
+        it('should apply the first matching rule', () => {
+            const policy = new ArchivePolicy(
+                {
+                    rules: [
+                        { name: 'keep reference', when: { tag: 'reference' }, action: 'unread' },
+                        { when: { olderThan: '2y' }, action: 'archive' }
+                    ]
+                },
+                { now: NOW }
+            );
+            const old = toTimeAdded('2021-01-01');
+
+            assert.deepStrictEqual(policy.evaluate({ status: 'archive', tags: ['Reference'], timeAdded: old }), {
+                archive: false,
+                rule: '#1 keep reference → unread'
+            });
+            assert.deepStrictEqual(policy.evaluate({ status: 'unread', tags: [], timeAdded: old }), {
+                archive: true,
+                rule: '#2 olderThan 2y → archive'
+            });
+        });
+
+        it('should require every condition of a rule', () => {
+            const policy = new ArchivePolicy({
+                rules: [{ when: { status: 'archive', domain: ['youtube.com', 'vimeo.com'] }, action: 'unread' }]
+            });
+
+            assert.strictEqual(
+                policy.evaluate({ status: 'archive', url: 'https://m.youtube.com/watch?v=1' }).archive,
+                false
+            );
+            assert.strictEqual(policy.evaluate({ status: 'archive', url: 'https://example.com' }).archive, true);
+            assert.strictEqual(policy.evaluate({ status: 'unread', url: 'https://vimeo.com/1' }).archive, false);
+        });
+
+        it('should compare ages with the policy date', () => {
+            const policy = new ArchivePolicy(
+                {
+                    rules: [
+                        { when: { newerThan: '6m' }, action: 'unread' },
+                        { when: { olderThan: '30d' }, action: 'archive' }
+                    ]
+                },
+                { now: NOW }
+            );
+
+            assert.strictEqual(
+                policy.evaluate({ status: 'archive', timeAdded: toTimeAdded('2024-03-01') }).archive,
+                false
+            );
+            assert.strictEqual(
+                policy.evaluate({ status: 'unread', timeAdded: toTimeAdded('2023-11-01') }).archive,
+                true
+            );
+        });
+
+        it('should not match age conditions on rows without a date', () => {
+            const policy = new ArchivePolicy({ rules: [{ when: { olderThan: '1w' }, action: 'archive' }] });
+
+            assert.strictEqual(policy.evaluate({ status: 'unread', timeAdded: '' }).archive, false);
+        });
+
+        it('should match untagged rows and archived copies', () => {
+            const policy = new ArchivePolicy({
+                rules: [
+                    { when: { archivedCopy: true }, action: 'archive' },
+                    { when: { untagged: true }, action: 'unread' }
+                ],
+                default: 'archive'
+            });
+
+            assert.strictEqual(policy.evaluate({ status: 'unread', tags: ['x'], archivedCopy: true }).archive, true);
+            assert.strictEqual(policy.evaluate({ status: 'archive', tags: [] }).archive, false);
+            assert.strictEqual(policy.evaluate({ status: 'unread', tags: ['x'] }).archive, true);
+        });
+
+        it('should try --unread_untagged before the rules', () => {
+            const policy = new ArchivePolicy({ rules: [{ action: 'archive' }] }, { unreadUntagged: true });
+
+            assert.strictEqual(policy.evaluate({ status: 'archive', tags: [] }).archive, false);
+            assert.strictEqual(policy.evaluate({ status: 'unread', tags: [] }).archive, true);
+        });
+    });
+
+    describe('getReport', () => {
+        it('should count the rows each rule decided, with the default last', () => {
+            const policy = new ArchivePolicy({ rules: [{ when: { status: ['unread'] }, action: 'unread' }] });
+
+            policy.evaluate({ status: 'unread' });
+            policy.evaluate({ status: 'unread' });
+            policy.evaluate({ status: 'archive' });
+
+            assert.deepStrictEqual(policy.getReport(), [
+                { rule: '#1 status unread → unread', hits: 2 },
+                { rule: 'default: pocket', hits: 1 }
+            ]);
+        });
+
+        it('should describe rules without conditions', () => {
+            const policy = new ArchivePolicy({ rules: [{ action: 'unread' }] });
+
+            assert.deepStrictEqual(policy.getReport()[0], { rule: '#1 always → unread', hits: 0 });
+        });
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ArticlePoller } from '../src/article-poller.js';
+
+function createGraphql(articles) {
+    const graphql = {
+        polls: 0,
+        getArticle: async () => {
+            graphql.polls++;
+            return articles.length > 1 ? articles.shift() : articles[0];
+        }
+    };
+    return graphql;
+}
+
+describe('ArticlePoller', () => {
+    describe('waitForArticle', () => {
+        it('should return the article once it is no longer processing', async () => {
+            const graphql = createGraphql([
+                { id: 'article-id', title: 'https://example.com', state: 'PROCESSING' },
+                { id: 'article-id', title: 'Fetched title', state: 'SUCCEEDED' }
+            ]);
+            const poller = new ArticlePoller(graphql, { pollIntervalMs: 1 });
+
+            const article = await poller.waitForArticle('article-id');
+
+            assert.deepStrictEqual(article, { id: 'article-id', title: 'Fetched title', state: 'SUCCEEDED' });
+            assert.strictEqual(graphql.polls, 2);
+        });
+
+        it('should return a processing article when it never shows up', async () => {
+            const graphql = createGraphql([null]);
+            const poller = new ArticlePoller(graphql, { pollIntervalMs: 1, maxPollAttempts: 3 });
+
+            const article = await poller.waitForArticle('article-id');
+
+            assert.deepStrictEqual(article, { id: 'article-id', state: 'PROCESSING' });
+            assert.strictEqual(graphql.polls, 3);
+        });
+
+        it('should send every check through the request wrapper', async () => {
+            let requests = 0;
+            const request = operation => {
+                requests++;
+                return operation();
+            };
+            const poller = new ArticlePoller(createGraphql([{ state: 'FAILED' }]), { request });
+
+            assert.strictEqual((await poller.waitForArticle('article-id')).state, 'FAILED');
+            assert.strictEqual(requests, 1);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { AutoLabeler } from '../src/auto-labeler.js';
+import { TagProcessor } from '../src/tag-processor.js';
+
+describe('AutoLabeler', () => {
+    const importDate = new Date('2025-06-01T12:00:00Z');
+    const row = { url: 'https://www.example.com/post', timeAdded: '1609459200', favorite: true };
+
+    describe('constructor', () => {
+        it('should throw error for an unknown generator', () => {
+            assert.throws(() => new AutoLabeler(['weather']), {
+                message: /Unknown automatic label "weather", expected one of pocket-import/
+            });
+        });
+    });
+
+    describe('createLabels', () => {
+        it('should generate no label by default', () => {
+            assert.deepStrictEqual(new AutoLabeler().createLabels(row), []);
+        });
+
+        it('should generate the label of every enabled generator', () => {
+            const labeler = new AutoLabeler(AutoLabeler.GENERATORS, { importDate });
+
+            assert.deepStrictEqual(
+                labeler.createLabels(row).map(label => label.name),
+                ['pocket-import', 'imported-2025-06-01', 'saved-2021', 'example.com', 'pocket-favorite']
+            );
+        });
+
+        it('should only generate the enabled labels, in generator order', () => {
+            const labeler = new AutoLabeler(['domain', 'pocket-import'], { importDate });
+
+            assert.deepStrictEqual(labeler.createLabels(row), [
+                {
+                    name: 'pocket-import',
+                    color: TagProcessor.getLabelColor('pocket-import'),
+                    description: 'Imported from Pocket'
+                },
+                { name: 'example.com', color: TagProcessor.getLabelColor('example.com'), description: 'Source domain' }
+            ]);
+        });
+
+        it('should lowercase the domain label', () => {
+            const labeler = new AutoLabeler(['domain']);
+
+            assert.deepStrictEqual(
+                labeler.createLabels({ url: 'https://www.Example.com/Page' }).map(label => label.name),
+                ['example.com']
+            );
+        });
+
+        it('should label favorites with the configured label', () => {
+            const labeler = new AutoLabeler(['favorite'], { favoriteLabel: 'starred' });
+
+            assert.deepStrictEqual(
+                labeler.createLabels(row).map(label => label.name),
+                ['starred']
+            );
+            assert.strictEqual(labeler.isEnabled('favorite'), true);
+            assert.strictEqual(labeler.isEnabled('domain'), false);
+        });
+
+        it('should label archived copies of dead links with the configured label', () => {
+            const labeler = new AutoLabeler(['archived-copy'], { archivedCopyLabel: 'wayback' });
+
+            assert.deepStrictEqual(labeler.createLabels(row), []);
+            assert.deepStrictEqual(
+                labeler.createLabels({ ...row, archivedCopy: true }).map(label => label.name),
+                ['wayback']
+            );
+        });
+
+        it('should skip labels the row has no data for', () => {
+            const labeler = new AutoLabeler(['saved-year', 'favorite'], { importDate });
+
+            assert.deepStrictEqual(
+                labeler.createLabels({ url: 'https://example.com', timeAdded: '', favorite: false }),
+                []
+            );
+        });
+    });
+});
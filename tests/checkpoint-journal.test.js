@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CheckpointJournal } from '../src/checkpoint-journal.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('CheckpointJournal', () => {
+    const testDataDir = path.join(__dirname, 'test-data-journal');
+    const journalPath = path.join(testDataDir, 'journal.jsonl');
+
+    beforeEach(() => {
+        if (!fs.existsSync(testDataDir)) {
+            fs.mkdirSync(testDataDir, { recursive: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDataDir)) {
+            fs.rmSync(testDataDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('record', () => {
+        it('should append one entry per saved row', () => {
+            const journal = new CheckpointJournal(journalPath, 'export.csv');
+
+            journal.record('https://example.com/1', 'id-1');
+            journal.record('https://example.com/2', 'id-2');
+
+            const lines = fs.readFileSync(journalPath, 'utf8').trim().split('\n');
+            assert.strictEqual(lines.length, 2);
+
+            const entry = JSON.parse(lines[0]);
+            assert.strictEqual(entry.source, path.resolve('export.csv'));
+            assert.strictEqual(entry.url, 'https://example.com/1');
+            assert.strictEqual(entry.id, 'id-1');
+            assert(entry.savedAt);
+        });
+
+        it('should remember recorded URLs', () => {
+            const journal = new CheckpointJournal(journalPath, 'export.csv');
+
+            journal.record('https://example.com/1', 'id-1');
+
+            assert.strictEqual(journal.has('https://example.com/1'), true);
+            assert.strictEqual(journal.get('https://example.com/1'), 'id-1');
+            assert.strictEqual(journal.has('https://example.com/2'), false);
+        });
+    });
+
+    describe('load', () => {
+        it('should return zero when the journal does not exist', () => {
+            const journal = new CheckpointJournal(journalPath, 'export.csv');
+
+            assert.strictEqual(journal.load(), 0);
+        });
+
+        it('should only load entries of the same CSV file', () => {
+            new CheckpointJournal(journalPath, 'export.csv').record('https://example.com/1', 'id-1');
+            new CheckpointJournal(journalPath, 'other.csv').record('https://example.com/2', 'id-2');
+
+            const journal = new CheckpointJournal(journalPath, 'export.csv');
+
+            assert.strictEqual(journal.load(), 1);
+            assert.strictEqual(journal.has('https://example.com/1'), true);
+            assert.strictEqual(journal.has('https://example.com/2'), false);
+        });
+
+        it('should keep the entries of a multi-part import separate from each part', () => {
+            new CheckpointJournal(journalPath, ['part_000000.csv', 'part_000001.csv']).record(
+                'https://example.com/1',
+                'id-1'
+            );
+            new CheckpointJournal(journalPath, 'part_000000.csv').record('https://example.com/2', 'id-2');
+
+            const journal = new CheckpointJournal(journalPath, ['part_000000.csv', 'part_000001.csv']);
+
+            assert.strictEqual(journal.load(), 1);
+            assert.strictEqual(journal.has('https://example.com/1'), true);
+        });
+
+        it('should ignore a truncated last line', () => {
+            new CheckpointJournal(journalPath, 'export.csv').record('https://example.com/1', 'id-1');
+            fs.appendFileSync(journalPath, '{"source":"');
+
+            const journal = new CheckpointJournal(journalPath, 'export.csv');
+
+            assert.strictEqual(journal.load(), 1);
+        });
+    });
+
+    describe('reset', () => {
+        it('should remove entries of the CSV file and keep the others', () => {
+            new CheckpointJournal(journalPath, 'export.csv').record('https://example.com/1', 'id-1');
+            new CheckpointJournal(journalPath, 'other.csv').record('https://example.com/2', 'id-2');
+
+            new CheckpointJournal(journalPath, 'export.csv').reset();
+
+            assert.strictEqual(new CheckpointJournal(journalPath, 'export.csv').load(), 0);
+            assert.strictEqual(new CheckpointJournal(journalPath, 'other.csv').load(), 1);
+        });
+
+        it('should do nothing when the journal does not exist', () => {
+            new CheckpointJournal(journalPath, 'export.csv').reset();
+
+            assert.strictEqual(fs.existsSync(journalPath), false);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { CLI } from '../src/cli.js';
+import { Logger } from '../src/logger.js';
 
 describe('CLI', () => {
     let originalProcessExit;
@@ -68,6 +69,314 @@ describe('CLI', () => {
             assert.strictEqual(result.unreadUntagged, true);
         });
 
+        it('should parse resume option with default journal', () => {
+            const result = CLI.parseArgs(['--resume', 'test.csv']);
+
+            assert.strictEqual(result.resume, true);
+            assert.strictEqual(result.journalFile, '.pocket-import-journal.jsonl');
+        });
+
+        it('should parse journal path', () => {
+            const result = CLI.parseArgs(['--journal', 'my-journal.jsonl', 'test.csv']);
+
+            assert.strictEqual(result.csvFile, 'test.csv');
+            assert.strictEqual(result.resume, false);
+            assert.strictEqual(result.journalFile, 'my-journal.jsonl');
+        });
+
+        it('should parse continue-on-error options', () => {
+            const result = CLI.parseArgs(['--continue-on-error', '--failed-csv', 'retry.csv', 'test.csv']);
+
+            assert.strictEqual(result.continueOnError, true);
+            assert.strictEqual(result.failedCsvFile, 'retry.csv');
+            assert.strictEqual(result.csvFile, 'test.csv');
+        });
+
+        it('should parse dry-run and skip-url-check options', () => {
+            const result = CLI.parseArgs(['--dry-run', '--skip-url-check', 'test.csv']);
+
+            assert.strictEqual(result.dryRun, true);
+            assert.strictEqual(result.skipUrlCheck, true);
+        });
+
+        it('should parse concurrency as a number', () => {
+            const result = CLI.parseArgs(['--concurrency', '4', 'test.csv']);
+
+            assert.strictEqual(result.concurrency, 4);
+        });
+
+        it('should exit with error for an invalid concurrency', () => {
+            assert.throws(() => CLI.parseArgs(['--concurrency', 'zero', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('expects an integer of at least 1')));
+        });
+
+        it('should parse existing item options', () => {
+            assert.strictEqual(CLI.parseArgs(['--skip-existing', 'test.csv']).skipExisting, true);
+            assert.strictEqual(CLI.parseArgs(['--update-existing', 'test.csv']).updateExisting, true);
+        });
+
+        it('should parse the tag mapping file', () => {
+            assert.strictEqual(CLI.parseArgs(['--tag-mapping', 'tags.yaml', 'test.csv']).tagMappingFile, 'tags.yaml');
+        });
+
+        it('should parse the tag hierarchy options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs(['--tag-hierarchy', 'expand', '--tag-separators', '/.', 'test.csv']);
+
+            assert.strictEqual(defaults.tagHierarchy, 'flat');
+            assert.strictEqual(defaults.tagSeparators, '/:');
+            assert.strictEqual(result.tagHierarchy, 'expand');
+            assert.strictEqual(result.tagSeparators, '/.');
+        });
+
+        it('should exit with error for an unknown tag hierarchy mode', () => {
+            assert.throws(() => CLI.parseArgs(['--tag-hierarchy', 'tree', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('expects one of flat, expand, leaf, got "tree"')));
+        });
+
+        it('should parse the automatic label flags', () => {
+            const result = CLI.parseArgs(['--label-domain', '--label-pocket-import', 'test.csv']);
+
+            assert.deepStrictEqual(result.autoLabels, ['domain', 'pocket-import']);
+            assert.deepStrictEqual(CLI.parseArgs(['test.csv']).autoLabels, []);
+        });
+
+        it('should parse the title policy', () => {
+            assert.strictEqual(CLI.parseArgs(['test.csv']).titlePolicy, 'never');
+            assert.strictEqual(CLI.parseArgs(['--title-policy', 'if-empty', 'test.csv']).titlePolicy, 'if-empty');
+            assert.throws(() => CLI.parseArgs(['--title-policy', 'sometimes', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+        });
+
+        it('should parse the archive policy file', () => {
+            assert.strictEqual(CLI.parseArgs(['test.csv']).archivePolicyFile, null);
+            assert.strictEqual(
+                CLI.parseArgs(['--archive-policy', 'archive.yaml', 'test.csv']).archivePolicyFile,
+                'archive.yaml'
+            );
+        });
+
+        it('should parse the dead link rescue options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs([
+                '--rescue-dead-links',
+                '--archived-copy-label',
+                'wayback',
+                '--wayback-endpoint',
+                'http://localhost:8080/available',
+                'test.csv'
+            ]);
+
+            assert.strictEqual(defaults.rescueDeadLinks, false);
+            assert.strictEqual(result.rescueDeadLinks, true);
+            assert.strictEqual(result.archivedCopyLabel, 'wayback');
+            assert.strictEqual(result.waybackEndpoint, 'http://localhost:8080/available');
+        });
+
+        it('should exit with error when rescuing dead links without checking URLs', () => {
+            assert.throws(() => CLI.parseArgs(['--rescue-dead-links', '--skip-url-check', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('cannot be used with --skip-url-check')));
+        });
+
+        it('should parse the URL cache options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs([
+                '--url-cache',
+                'cache.jsonl',
+                '--url-cache-ttl',
+                '30',
+                '--refresh-url-cache',
+                '--prune-url-cache',
+                '--no-url-cache',
+                'test.csv'
+            ]);
+
+            assert.strictEqual(defaults.urlCacheFile, '.pocket-url-cache.jsonl');
+            assert.strictEqual(defaults.urlCacheTtl, 7);
+            assert.strictEqual(defaults.noUrlCache, false);
+            assert.strictEqual(result.urlCacheFile, 'cache.jsonl');
+            assert.strictEqual(result.urlCacheTtl, 30);
+            assert.strictEqual(result.refreshUrlCache, true);
+            assert.strictEqual(result.pruneUrlCache, true);
+            assert.strictEqual(result.noUrlCache, true);
+        });
+
+        it('should parse the run report options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs(['--report', 'run.json', 'test.csv']);
+            const disabled = CLI.parseArgs(['--no-report', 'test.csv']);
+
+            assert.strictEqual(defaults.reportFile, null);
+            assert.strictEqual(defaults.noReport, false);
+            assert.strictEqual(result.reportFile, 'run.json');
+            assert.strictEqual(disabled.noReport, true);
+        });
+
+        it('should parse the logging options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs(['--log-format', 'json', '--log-file', 'import.log', '--verbose', 'test.csv']);
+
+            assert.strictEqual(defaults.logFormat, 'pretty');
+            assert.strictEqual(defaults.quiet, false);
+            assert.strictEqual(result.logFormat, 'json');
+            assert.strictEqual(result.logFile, 'import.log');
+            assert.strictEqual(result.verbose, true);
+        });
+
+        it('should reject --quiet with --verbose', () => {
+            assert.throws(() => CLI.parseArgs(['--quiet', '--verbose', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('--quiet and --verbose cannot be used together')));
+        });
+
+        it('should reject unknown log formats', () => {
+            assert.throws(() => CLI.parseArgs(['--log-format', 'xml', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('expects one of pretty, json')));
+        });
+
+        it('should parse the audit command and its options', () => {
+            const defaults = CLI.parseArgs(['test.csv']);
+            const result = CLI.parseArgs([
+                'audit',
+                '--concurrency',
+                '8',
+                '--audit-csv',
+                'links.csv',
+                '--audit-json',
+                'links.json',
+                '--no-url-cache',
+                'part1.csv',
+                'part2.csv'
+            ]);
+
+            assert.strictEqual(defaults.command, 'import');
+            assert.strictEqual(defaults.auditCsvFile, null);
+            assert.strictEqual(result.command, 'audit');
+            assert.strictEqual(result.concurrency, 8);
+            assert.strictEqual(result.auditCsvFile, 'links.csv');
+            assert.strictEqual(result.auditJsonFile, 'links.json');
+            assert.strictEqual(result.noUrlCache, true);
+            assert.deepStrictEqual(result.inputFiles, ['part1.csv', 'part2.csv']);
+        });
+
+        it('should reject import options with the audit command', () => {
+            assert.throws(() => CLI.parseArgs(['audit', '--dry-run', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('Option --dry-run cannot be used with the audit command')));
+        });
+
+        it('should reject audit options without the audit command', () => {
+            assert.throws(() => CLI.parseArgs(['--audit-csv', 'links.csv', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(
+                errorOutput.some(line => line.includes('Option --audit-csv can only be used with the audit command'))
+            );
+        });
+
+        it('should parse the row filters', () => {
+            const result = CLI.parseArgs([
+                '--since',
+                '2022',
+                '--until',
+                '2023-06-30',
+                '--status',
+                'unread',
+                '--tag',
+                'research, papers',
+                '--tag',
+                'ai',
+                '--exclude-domain',
+                'youtube.com',
+                'test.csv'
+            ]);
+
+            assert.strictEqual(result.since, '2022');
+            assert.strictEqual(result.until, '2023-06-30');
+            assert.deepStrictEqual(result.statuses, ['unread']);
+            assert.deepStrictEqual(result.tags, ['research', 'papers', 'ai']);
+            assert.deepStrictEqual(result.excludeDomains, ['youtube.com']);
+            assert.deepStrictEqual(result.domains, []);
+        });
+
+        it('should exit with error for an invalid filter value', () => {
+            assert.throws(() => CLI.parseArgs(['--since', 'last-year', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+            assert(errorOutput.some(line => line.includes('Option --since: Invalid date "last-year"')));
+
+            assert.throws(() => CLI.parseArgs(['--status', 'unread,starred', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+            assert(errorOutput.some(line => line.includes('expects one of unread, archive, got "starred"')));
+        });
+
+        it('should parse the favorite label options', () => {
+            const named = CLI.parseArgs(['--favorite-label', 'starred', 'test.csv']);
+            const disabled = CLI.parseArgs(['--no-label-favorite', 'test.csv']);
+
+            assert.strictEqual(named.favoriteLabel, 'starred');
+            assert.strictEqual(named.noLabelFavorite, false);
+            assert.strictEqual(disabled.noLabelFavorite, true);
+        });
+
+        it('should exit with error when the favorite label is both named and turned off', () => {
+            assert.throws(() => CLI.parseArgs(['--no-label-favorite', '--favorite-label', 'starred', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+            assert(errorOutput.some(line => line.includes('--no-label-favorite cannot be used with')));
+        });
+
+        it('should parse highlight options', () => {
+            const result = CLI.parseArgs([
+                '--annotations',
+                'annotations',
+                '--unmatched-highlights',
+                'unmatched.csv',
+                'test.csv'
+            ]);
+
+            assert.strictEqual(result.annotationsFile, 'annotations');
+            assert.strictEqual(result.unmatchedHighlightsFile, 'unmatched.csv');
+            assert.strictEqual(result.skipHighlights, false);
+            assert.strictEqual(CLI.parseArgs(['--skip-highlights', 'test.csv']).skipHighlights, true);
+        });
+
+        it('should exit with error when skipping and updating existing items', () => {
+            assert.throws(() => CLI.parseArgs(['--skip-existing', '--update-existing', 'test.csv']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert(errorOutput.some(line => line.includes('cannot be used together')));
+        });
+
+        it('should exit with error when an option value is missing', () => {
+            assert.throws(() => CLI.parseArgs(['test.csv', '--journal']), {
+                message: 'Process exit called with code 1'
+            });
+
+            assert.strictEqual(exitCode, 1);
+            assert(errorOutput.some(line => line.includes('Option --journal requires a value')));
+        });
+
         it('should exit with help when --help is provided', () => {
             const args = ['--help'];
 
@@ -100,15 +409,12 @@ describe('CLI', () => {
             assert(errorOutput.some(line => line.includes('Unknown option')));
         });
 
-        it('should exit with error for multiple CSV files', () => {
-            const args = ['test1.csv', 'test2.csv'];
+        it('should accept several export parts', () => {
+            const options = CLI.parseArgs(['part_000000.csv', '--dry-run', 'part_000001.csv']);
 
-            assert.throws(() => CLI.parseArgs(args), {
-                message: 'Process exit called with code 1'
-            });
-
-            assert.strictEqual(exitCode, 1);
-            assert(errorOutput.some(line => line.includes('Multiple CSV files')));
+            assert.deepStrictEqual(options.inputFiles, ['part_000000.csv', 'part_000001.csv']);
+            assert.strictEqual(options.csvFile, 'part_000000.csv');
+            assert.strictEqual(options.dryRun, true);
         });
 
         it('should exit with error when no CSV file provided', () => {
@@ -146,6 +452,25 @@ describe('CLI', () => {
         });
     });
 
+    describe('configureLogging', () => {
+        afterEach(() => {
+            Logger.reset();
+        });
+
+        it('should set the log level from --quiet and --verbose', () => {
+            CLI.configureLogging(CLI.parseArgs(['--quiet', 'test.csv']));
+            assert.strictEqual(Logger.isEnabled('info'), false);
+            assert.strictEqual(Logger.isEnabled('warn'), true);
+
+            CLI.configureLogging(CLI.parseArgs(['--verbose', 'test.csv']));
+            assert.strictEqual(Logger.isEnabled('debug'), true);
+
+            CLI.configureLogging(CLI.parseArgs(['test.csv']));
+            assert.strictEqual(Logger.isEnabled('debug'), false);
+            assert.strictEqual(Logger.isEnabled('info'), true);
+        });
+    });
+
     describe('validateEnvironment', () => {
         let originalEnv;
 
@@ -232,5 +557,14 @@ describe('CLI', () => {
             // Should log default URL
             // This would be better tested with Logger integration
         });
+
+        it('should list each nested tag separator', () => {
+            CLI.logStartup(
+                { apiKey: 'test-key' },
+                { csvFile: 'test.csv', tagHierarchy: 'expand', tagSeparators: '/:' }
+            );
+
+            assert(logOutput.some(line => line.includes('nested tags split on "/", ":"')));
+        });
     });
 });
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigFile } from '../src/config-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ConfigFile', () => {
+    const testDataDir = path.join(__dirname, 'test-data-config-file');
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('load', () => {
+        it('should read YAML files by their extension', async () => {
+            for (const name of ['config.yaml', 'config.YML']) {
+                const filePath = path.join(testDataDir, name);
+                fs.writeFileSync(filePath, 'rules:\n  - action: unread\n');
+
+                assert.deepStrictEqual(await ConfigFile.load(filePath, 'test'), { rules: [{ action: 'unread' }] });
+            }
+        });
+
+        it('should read other files as JSON', async () => {
+            const filePath = path.join(testDataDir, 'config.json');
+            fs.writeFileSync(filePath, '{ "default": "archive" }');
+
+            assert.deepStrictEqual(await ConfigFile.load(filePath, 'test'), { default: 'archive' });
+        });
+
+        it('should return an empty object for an empty YAML file', async () => {
+            const filePath = path.join(testDataDir, 'empty.yaml');
+            fs.writeFileSync(filePath, '');
+
+            assert.deepStrictEqual(await ConfigFile.load(filePath, 'test'), {});
+        });
+
+        it('should name the kind of file in errors', async () => {
+            const filePath = path.join(testDataDir, 'invalid.json');
+            fs.writeFileSync(filePath, '{ "rules": [');
+
+            await assert.rejects(() => ConfigFile.load(path.join(testDataDir, 'missing.json'), 'archive policy'), {
+                message: /^Cannot read archive policy file .*missing\.json/
+            });
+            await assert.rejects(() => ConfigFile.load(filePath, 'archive policy'), {
+                message: /^Invalid archive policy file .*invalid\.json/
+            });
+        });
+    });
+});
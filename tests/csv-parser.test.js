@@ -2,6 +2,7 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
 import path from 'path';
+import { Readable } from 'stream';
 import { fileURLToPath } from 'url';
 import { CsvParser } from '../src/csv-parser.js';
 
@@ -89,6 +90,83 @@ describe('CsvParser', () => {
         });
     });
 
+    describe('streamCsvFile', () => {
+        it('should yield rows one at a time', async () => {
+            const rows = [];
+            for await (const row of CsvParser.streamCsvFile(validCsvPath)) {
+                rows.push(row.url);
+            }
+
+            assert.deepStrictEqual(rows, [
+                'https://example.com/1',
+                'https://example.com/2',
+                'https://example.com/3',
+                'https://example.com/4'
+            ]);
+        });
+
+        it('should stop reading when the consumer stops', async () => {
+            const stream = fs.createReadStream(validCsvPath);
+
+            const rows = CsvParser.streamCsv(stream);
+            const { value } = await rows.next();
+            await rows.return();
+
+            assert.strictEqual(value.url, 'https://example.com/1');
+
+            assert.strictEqual(stream.destroyed, true);
+        });
+
+        it('should throw a reading error for a non-existent file', async () => {
+            await assert.rejects(
+                async () => {
+                    for await (const row of CsvParser.streamCsvFile(nonExistentPath)) {
+                        assert.fail(`Unexpected row ${row.url}`);
+                    }
+                },
+                { message: /File reading error/ }
+            );
+        });
+
+        it('should throw a parsing error for malformed CSV', async () => {
+            const stream = Readable.from([Buffer.from('title,url\n"unterminated,https://example.com\n')]);
+
+            await assert.rejects(() => CsvParser.parseCsvStream(stream), { message: /CSV parsing error/ });
+        });
+    });
+
+    describe('countRows', () => {
+        it('should count the non-blank lines after the header', async () => {
+            const count = await CsvParser.countRows(fs.createReadStream(validCsvPath));
+
+            assert.strictEqual(count, 4);
+        });
+
+        it('should ignore blank lines and handle a missing final newline', async () => {
+            const stream = Readable.from([
+                Buffer.from('title,url\r\n\r\n  \nOne,https://example.com/1\nTwo,'),
+                Buffer.from('x')
+            ]);
+
+            assert.strictEqual(await CsvParser.countRows(stream), 2);
+        });
+
+        it('should return zero for a header-only or empty file', async () => {
+            assert.strictEqual(await CsvParser.countRows(Readable.from([Buffer.from('title,url\n')])), 0);
+            assert.strictEqual(await CsvParser.countRows(Readable.from([])), 0);
+        });
+    });
+
+    describe('parseCsvStream', () => {
+        it('should parse CSV from any readable stream', async () => {
+            const stream = Readable.from([Buffer.from('title,url\nExample,https://example.com\n')]);
+
+            const rows = await CsvParser.parseCsvStream(stream);
+
+            assert.deepStrictEqual(rows, [{ title: 'Example', url: 'https://example.com' }]);
+        });
+    });
+
     describe('validateRow', () => {
         it('should validate and clean valid row data', () => {
             const rowData = {
@@ -120,6 +198,16 @@ describe('CsvParser', () => {
             assert.strictEqual(result.tags, '');
             assert.strictEqual(result.timeAdded, '');
             assert.strictEqual(result.status, '');
+            assert.strictEqual(result.favorite, false);
+        });
+
+        it('should read the favorite flag', () => {
+            assert.strictEqual(CsvParser.validateRow(1, { url: 'https://example.com', favorite: '1' }).favorite, true);
+            assert.strictEqual(
+                CsvParser.validateRow(1, { url: 'https://example.com', favorite: 'TRUE' }).favorite,
+                true
+            );
+            assert.strictEqual(CsvParser.validateRow(1, { url: 'https://example.com', favorite: '0' }).favorite, false);
         });
 
         it('should throw error for empty URL', () => {
@@ -0,0 +1,65 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CsvWriter } from '../src/csv-writer.js';
+import { CsvParser } from '../src/csv-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('CsvWriter', () => {
+    const testDataDir = path.join(__dirname, 'test-data-csv-writer');
+
+    afterEach(() => {
+        if (fs.existsSync(testDataDir)) {
+            fs.rmSync(testDataDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('formatField', () => {
+        it('should leave plain values untouched', () => {
+            assert.strictEqual(CsvWriter.formatField('plain text'), 'plain text');
+            assert.strictEqual(CsvWriter.formatField(42), '42');
+        });
+
+        it('should render null and undefined as empty fields', () => {
+            assert.strictEqual(CsvWriter.formatField(null), '');
+            assert.strictEqual(CsvWriter.formatField(undefined), '');
+        });
+
+        it('should quote fields with commas, quotes or newlines', () => {
+            assert.strictEqual(CsvWriter.formatField('a,b'), '"a,b"');
+            assert.strictEqual(CsvWriter.formatField('say "hi"'), '"say ""hi"""');
+            assert.strictEqual(CsvWriter.formatField('line\nbreak'), '"line\nbreak"');
+        });
+    });
+
+    describe('format', () => {
+        it('should write a header and one line per record', () => {
+            const csv = CsvWriter.format(
+                ['title', 'url'],
+                [
+                    { title: 'First', url: 'https://example.com/1' },
+                    { title: 'Second, again', url: 'https://example.com/2' }
+                ]
+            );
+
+            assert.strictEqual(csv, 'title,url\nFirst,https://example.com/1\n"Second, again",https://example.com/2\n');
+        });
+    });
+
+    describe('writeFile', () => {
+        it('should write a file the CSV parser reads back', async () => {
+            fs.mkdirSync(testDataDir, { recursive: true });
+            const csvPath = path.join(testDataDir, 'written.csv');
+            const record = { title: 'Quoted "title", with comma', url: 'https://example.com', tags: 'a|b' };
+
+            CsvWriter.writeFile(csvPath, ['title', 'url', 'tags'], [record]);
+            const rows = await CsvParser.parseCsvFile(csvPath);
+
+            assert.deepStrictEqual(rows, [record]);
+        });
+    });
+});
@@ -0,0 +1,236 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AdmZip from 'adm-zip';
+import { ExportReader } from '../src/export-reader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CSV_HEADER = 'title,url,time_added,tags,status\n';
+
+async function collect(rows) {
+    const collected = [];
+    for await (const row of rows) {
+        collected.push(row);
+    }
+    return collected;
+}
+
+describe('ExportReader', () => {
+    const testDataDir = path.join(__dirname, 'test-data-export');
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('detectFormat', () => {
+        it('should detect the format from the extension', () => {
+            assert.strictEqual(ExportReader.detectFormat('export.csv'), 'csv');
+            assert.strictEqual(ExportReader.detectFormat('ril_export.HTML'), 'html');
+            assert.strictEqual(ExportReader.detectFormat('ril_export.htm'), 'html');
+        });
+
+        it('should sniff the content of files without a known extension', () => {
+            const htmlPath = path.join(testDataDir, 'export-html');
+            const csvPath = path.join(testDataDir, 'export-csv');
+            fs.writeFileSync(htmlPath, '\uFEFF  <!DOCTYPE html><html></html>');
+            fs.writeFileSync(csvPath, 'title,url\n');
+
+            assert.strictEqual(ExportReader.detectFormat(htmlPath), 'html');
+            assert.strictEqual(ExportReader.detectFormat(csvPath), 'csv');
+        });
+    });
+
+    describe('listParts', () => {
+        it('should list a single export file as one part', () => {
+            const csvPath = path.join(testDataDir, 'export.csv');
+            fs.writeFileSync(csvPath, CSV_HEADER);
+
+            const parts = ExportReader.listParts([csvPath]);
+
+            assert.strictEqual(parts.length, 1);
+            assert.strictEqual(parts[0].name, csvPath);
+            assert.strictEqual(parts[0].format, 'csv');
+        });
+
+        it('should list the export files of a directory sorted by name', () => {
+            fs.writeFileSync(path.join(testDataDir, 'part_000001.csv'), CSV_HEADER);
+            fs.writeFileSync(path.join(testDataDir, 'part_000000.csv'), CSV_HEADER);
+            fs.writeFileSync(path.join(testDataDir, 'notes.txt'), 'not an export');
+            fs.mkdirSync(path.join(testDataDir, 'annotations'));
+
+            const parts = ExportReader.listParts([testDataDir]);
+
+            assert.deepStrictEqual(
+                parts.map(part => path.basename(part.name)),
+                ['part_000000.csv', 'part_000001.csv']
+            );
+        });
+
+        it('should list the CSV entries of a ZIP bundle sorted by name', () => {
+            const zipPath = path.join(testDataDir, 'pocket.zip');
+            const zip = new AdmZip();
+            zip.addFile('part_000001.csv', Buffer.from(CSV_HEADER));
+            zip.addFile('part_000000.csv', Buffer.from(CSV_HEADER));
+            zip.addFile('annotations/part_000000.json', Buffer.from('[]'));
+            zip.writeZip(zipPath);
+
+            const parts = ExportReader.listParts([zipPath]);
+
+            assert.deepStrictEqual(
+                parts.map(part => part.name),
+                [`${zipPath}:part_000000.csv`, `${zipPath}:part_000001.csv`]
+            );
+            assert(parts.every(part => part.format === 'csv'));
+        });
+
+        it('should reject a file that is not a valid ZIP archive', () => {
+            const zipPath = path.join(testDataDir, 'broken.zip');
+            fs.writeFileSync(zipPath, 'not a zip');
+
+            assert.throws(() => ExportReader.listParts([zipPath]), /Error reading ZIP file/);
+        });
+    });
+
+    describe('countRows', () => {
+        it('should count the rows of CSV files, ZIP entries and HTML files', async () => {
+            const csvPath = path.join(testDataDir, 'export.csv');
+            const htmlPath = path.join(testDataDir, 'ril_export.html');
+            const zipPath = path.join(testDataDir, 'pocket.zip');
+            fs.writeFileSync(
+                csvPath,
+                `${CSV_HEADER}One,https://example.com/1,,,unread\n\nTwo,https://example.com/2,,,unread`
+            );
+            fs.writeFileSync(htmlPath, '<h1>Unread</h1><a href="https://example.com/1">One</a>');
+            const zip = new AdmZip();
+            zip.addFile('part_000000.csv', Buffer.from(`${CSV_HEADER}One,https://example.com/1,,,unread\n`));
+            zip.writeZip(zipPath);
+
+            const counts = [];
+            for (const part of ExportReader.listParts([csvPath, htmlPath, zipPath])) {
+                counts.push(await ExportReader.countRows(part));
+            }
+
+            assert.deepStrictEqual(counts, [2, 1, 1]);
+        });
+    });
+
+    describe('listAnnotationParts', () => {
+        it('should list the annotation entries of a ZIP bundle', () => {
+            const zipPath = path.join(testDataDir, 'pocket.zip');
+            const zip = new AdmZip();
+            zip.addFile('part_000000.csv', Buffer.from(CSV_HEADER));
+            zip.addFile('annotations/part_000001.json', Buffer.from('[]'));
+            zip.addFile('annotations/part_000000.json', Buffer.from('[]'));
+            zip.writeZip(zipPath);
+
+            const parts = ExportReader.listAnnotationParts([zipPath]);
+
+            assert.deepStrictEqual(
+                parts.map(part => part.name),
+                [`${zipPath}:annotations/part_000000.json`, `${zipPath}:annotations/part_000001.json`]
+            );
+        });
+
+        it('should list the annotation files of a directory and of its annotations folder', () => {
+            fs.writeFileSync(path.join(testDataDir, 'part_000000.csv'), CSV_HEADER);
+            fs.mkdirSync(path.join(testDataDir, 'annotations'));
+            fs.writeFileSync(path.join(testDataDir, 'annotations', 'part_000000.json'), '[]');
+
+            const parts = ExportReader.listAnnotationParts([testDataDir]);
+
+            assert.deepStrictEqual(
+                parts.map(part => path.relative(testDataDir, part.name)),
+                [path.join('annotations', 'part_000000.json')]
+            );
+        });
+
+        it('should use JSON files as given and ignore export files', () => {
+            const jsonPath = path.join(testDataDir, 'highlights.json');
+            const csvPath = path.join(testDataDir, 'export.csv');
+            fs.writeFileSync(jsonPath, '[]');
+            fs.writeFileSync(csvPath, CSV_HEADER);
+
+            const parts = ExportReader.listAnnotationParts([csvPath, jsonPath]);
+
+            assert.deepStrictEqual(
+                parts.map(part => part.name),
+                [jsonPath]
+            );
+        });
+    });
+
+    describe('readAnnotations', () => {
+        it('should flatten the highlights of each article', async () => {
+            const jsonPath = path.join(testDataDir, 'annotations.json');
+            fs.writeFileSync(
+                jsonPath,
+                JSON.stringify([
+                    {
+                        url: 'https://example.com/1',
+                        title: 'One',
+                        highlights: [
+                            { quote: 'First', created_at: 1609459200 },
+                            { quote: '  ', created_at: 1609459201 }
+                        ]
+                    },
+                    { url: 'https://example.com/2', quote: 'Single', created_at: 1609459300 }
+                ])
+            );
+
+            const highlights = await ExportReader.readAnnotations({ name: jsonPath, filePath: jsonPath });
+
+            assert.deepStrictEqual(highlights, [
+                { url: 'https://example.com/1', title: 'One', quote: 'First', createdAt: 1609459200 },
+                { url: 'https://example.com/2', title: '', quote: 'Single', createdAt: 1609459300 }
+            ]);
+        });
+
+        it('should reject invalid JSON', async () => {
+            const jsonPath = path.join(testDataDir, 'annotations.json');
+            fs.writeFileSync(jsonPath, '[{');
+
+            await assert.rejects(() => ExportReader.readAnnotations({ name: jsonPath, filePath: jsonPath }), {
+                message: /Invalid annotations JSON/
+            });
+        });
+    });
+
+    describe('streamPart', () => {
+        it('should read the rows of a ZIP entry', async () => {
+            const zipPath = path.join(testDataDir, 'pocket.zip');
+            const zip = new AdmZip();
+            zip.addFile(
+                'part_000000.csv',
+                Buffer.from(`${CSV_HEADER}Example,https://example.com,1609459200,tech,unread\n`)
+            );
+            zip.writeZip(zipPath);
+
+            const [part] = ExportReader.listParts([zipPath]);
+            const rows = await collect(ExportReader.streamPart(part));
+
+            assert.strictEqual(rows.length, 1);
+            assert.strictEqual(rows[0].url, 'https://example.com');
+            assert.strictEqual(rows[0].tags, 'tech');
+        });
+
+        it('should read HTML and CSV files', async () => {
+            const csvPath = path.join(testDataDir, 'export.csv');
+            const htmlPath = path.join(testDataDir, 'ril_export.html');
+            fs.writeFileSync(csvPath, `${CSV_HEADER}One,https://example.com/1,1609459200,,unread\n`);
+            fs.writeFileSync(htmlPath, '<h1>Unread</h1><ul><li><a href="https://example.com/2">Two</a></li></ul>');
+
+            const [csvPart, htmlPart] = ExportReader.listParts([csvPath, htmlPath]);
+
+            assert.strictEqual((await collect(ExportReader.streamPart(csvPart)))[0].url, 'https://example.com/1');
+            assert.strictEqual((await collect(ExportReader.streamPart(htmlPart)))[0].url, 'https://example.com/2');
+        });
+    });
+});
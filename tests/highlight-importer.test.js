@@ -0,0 +1,181 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { HighlightImporter } from '../src/highlight-importer.js';
+
+function createGraphql(states) {
+    const graphql = {
+        created: [],
+        polls: 0,
+        getArticle: async id => {
+            graphql.polls++;
+            return { id, state: states.length > 1 ? states.shift() : states[0] };
+        },
+        createHighlight: async input => {
+            if (input.quote === 'rejected') {
+                throw new Error('BAD_DATA');
+            }
+            graphql.created.push(input);
+            return { id: input.id };
+        }
+    };
+    return graphql;
+}
+
+describe('HighlightImporter', () => {
+    describe('generateShortId', () => {
+        it('should generate 8 character URL-safe ids', () => {
+            const shortId = HighlightImporter.generateShortId();
+
+            assert.match(shortId, /^[\w-]{8}$/);
+        });
+    });
+
+    describe('waitForArticle', () => {
+        it('should poll until the article is no longer processing', async () => {
+            const graphql = createGraphql(['PROCESSING', 'PROCESSING', 'SUCCEEDED']);
+            const importer = new HighlightImporter(graphql, { pollIntervalMs: 1 });
+
+            const article = await importer.waitForArticle('article-id');
+
+            assert.strictEqual(article.state, 'SUCCEEDED');
+            assert.strictEqual(graphql.polls, 3);
+        });
+
+        it('should give up after the maximum number of checks', async () => {
+            const graphql = createGraphql(['PROCESSING']);
+            const importer = new HighlightImporter(graphql, { pollIntervalMs: 1, maxPollAttempts: 2 });
+
+            const article = await importer.waitForArticle('article-id');
+
+            assert.strictEqual(article.state, 'PROCESSING');
+            assert.strictEqual(graphql.polls, 2);
+        });
+
+        it('should keep polling while the article is not found yet', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            let calls = 0;
+            graphql.getArticle = async id => (++calls < 2 ? null : { id, state: 'SUCCEEDED' });
+            const importer = new HighlightImporter(graphql, { pollIntervalMs: 1 });
+
+            assert.strictEqual((await importer.waitForArticle('article-id')).state, 'SUCCEEDED');
+            assert.strictEqual(calls, 2);
+        });
+    });
+
+    describe('importArticleHighlights', () => {
+        it('should create every highlight once the article is ready', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [
+                { quote: 'First' },
+                { quote: 'Second' }
+            ]);
+
+            assert.strictEqual(result.created, 2);
+            assert.deepStrictEqual(result.failures, []);
+            assert.deepStrictEqual(
+                graphql.created.map(input => [input.articleId, input.type, input.quote]),
+                [
+                    ['article-id', 'HIGHLIGHT', 'First'],
+                    ['article-id', 'HIGHLIGHT', 'Second']
+                ]
+            );
+            assert.notStrictEqual(graphql.created[0].id, graphql.created[1].id);
+        });
+
+        it('should create the highlights of an article saved as archived', async () => {
+            const graphql = createGraphql(['ARCHIVED']);
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [{ quote: 'First' }]);
+
+            assert.strictEqual(result.created, 1);
+            assert.deepStrictEqual(result.failures, []);
+        });
+
+        it('should fail every highlight of a deleted or unfetched article', async () => {
+            for (const state of ['DELETED', 'CONTENT_NOT_FETCHED']) {
+                const graphql = createGraphql([state]);
+                const importer = new HighlightImporter(graphql);
+
+                const result = await importer.importArticleHighlights('article-id', [{ quote: 'First' }]);
+
+                assert.strictEqual(result.created, 0);
+                assert.match(
+                    result.failures[0].reason,
+                    new RegExp(`could not be processed by Omnivore \\(${state}\\)`)
+                );
+            }
+        });
+
+        it('should fail every highlight of an article Omnivore could not process', async () => {
+            const graphql = createGraphql(['FAILED']);
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [{ quote: 'First' }]);
+
+            assert.strictEqual(result.created, 0);
+            assert.strictEqual(result.failures.length, 1);
+            assert.match(result.failures[0].reason, /could not be processed by Omnivore \(FAILED\)/);
+            assert.strictEqual(graphql.created.length, 0);
+        });
+
+        it('should fail every highlight when the article state cannot be read', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            graphql.getArticle = async () => {
+                throw new Error('UNAUTHORIZED');
+            };
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [{ quote: 'First' }]);
+
+            assert.strictEqual(result.failures[0].reason, 'Article state could not be read: UNAUTHORIZED');
+        });
+
+        it('should skip the quotes the article already has', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            graphql.getArticle = async id => ({ id, state: 'SUCCEEDED', highlights: [{ quote: 'First' }] });
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [
+                { quote: 'First' },
+                { quote: 'Second' }
+            ]);
+
+            assert.strictEqual(result.created, 1);
+            assert.strictEqual(result.existing, 1);
+            assert.deepStrictEqual(
+                graphql.created.map(input => input.quote),
+                ['Second']
+            );
+        });
+
+        it('should keep creating highlights after one is rejected', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            const importer = new HighlightImporter(graphql);
+
+            const result = await importer.importArticleHighlights('article-id', [
+                { quote: 'rejected' },
+                { quote: 'Accepted' }
+            ]);
+
+            assert.strictEqual(result.created, 1);
+            assert.strictEqual(result.failures[0].reason, 'Highlight creation failed: BAD_DATA');
+        });
+
+        it('should send every request through the request wrapper', async () => {
+            const graphql = createGraphql(['SUCCEEDED']);
+            let requests = 0;
+            const request = operation => {
+                requests++;
+                return operation();
+            };
+            const importer = new HighlightImporter(graphql, { request });
+
+            await importer.importArticleHighlights('article-id', [{ quote: 'First' }]);
+
+            assert.strictEqual(requests, 2);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HtmlExportParser } from '../src/html-export-parser.js';
+import { CsvParser } from '../src/csv-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXPORT_HTML = `<!DOCTYPE html>
+<html>
+<!--So long and thanks for all the fish-->
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+<title>Pocket Export</title>
+</head>
+<body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://example.com/1" time_added="1609459200" tags="tech,programming">First &amp; foremost</a></li>
+<li><a href="https://example.com/2?a=1&amp;b=2" time_added="1609545600" tags="">Second</a></li>
+</ul>
+
+<h1>Read Archive</h1>
+<ul>
+<li><a href="https://example.com/3" time_added="1609632000" tags="science">Caf&#233; &quot;quoted&quot;</a></li>
+</ul>
+</body>
+</html>`;
+
+describe('HtmlExportParser', () => {
+    const testDataDir = path.join(__dirname, 'test-data-html');
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('parseHtml', () => {
+        it('should return one row per link', () => {
+            const rows = HtmlExportParser.parseHtml(EXPORT_HTML);
+
+            assert.strictEqual(rows.length, 3);
+            assert.deepStrictEqual(rows[0], {
+                title: 'First & foremost',
+                url: 'https://example.com/1',
+                time_added: '1609459200',
+                tags: 'tech|programming',
+                status: 'unread'
+            });
+        });
+
+        it('should infer the status from the section', () => {
+            const rows = HtmlExportParser.parseHtml(EXPORT_HTML);
+
+            assert.deepStrictEqual(
+                rows.map(row => row.status),
+                ['unread', 'unread', 'archive']
+            );
+        });
+
+        it('should decode entities in titles and URLs', () => {
+            const rows = HtmlExportParser.parseHtml(EXPORT_HTML);
+
+            assert.strictEqual(rows[1].url, 'https://example.com/2?a=1&b=2');
+            assert.strictEqual(rows[2].title, 'Café "quoted"');
+        });
+
+        it('should produce rows CsvParser.validateRow accepts', () => {
+            const rows = HtmlExportParser.parseHtml(EXPORT_HTML);
+
+            assert.deepStrictEqual(CsvParser.validateRow(3, rows[2]), {
+                title: 'Café "quoted"',
+                url: 'https://example.com/3',
+                timeAdded: '1609632000',
+                tags: 'science',
+                status: 'archive',
+                favorite: false
+            });
+        });
+
+        it('should return no rows for a document without links', () => {
+            assert.deepStrictEqual(HtmlExportParser.parseHtml('<html><body><h1>Unread</h1></body></html>'), []);
+        });
+    });
+
+    describe('parseHtmlFile', () => {
+        it('should parse an export file', async () => {
+            const htmlPath = path.join(testDataDir, 'ril_export.html');
+            fs.writeFileSync(htmlPath, EXPORT_HTML);
+
+            const rows = await HtmlExportParser.parseHtmlFile(htmlPath);
+
+            assert.strictEqual(rows.length, 3);
+        });
+
+        it('should reject when the file cannot be read', async () => {
+            await assert.rejects(() => HtmlExportParser.parseHtmlFile(path.join(testDataDir, 'missing.html')), {
+                message: /File reading error/
+            });
+        });
+    });
+
+    describe('decodeEntities', () => {
+        it('should decode named, decimal and hexadecimal entities', () => {
+            assert.strictEqual(
+                HtmlExportParser.decodeEntities('&lt;b&gt; &#39;x&#x27; &unknown;'),
+                "<b> 'x' &unknown;"
+            );
+        });
+    });
+});
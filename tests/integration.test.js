@@ -28,8 +28,10 @@ describe('Integration Tests', () => {
 
     function runScript(args, env = {}) {
         return new Promise(resolve => {
+            // Run next to the test data, so the journal and URL cache files are cleaned up with it
             // eslint-disable-next-line sonarjs/no-os-command-from-path
             const child = spawn('node', [scriptPath, ...args], {
+                cwd: testDataDir,
                 stdio: 'pipe',
                 env: { ...process.env, ...env }
             });
@@ -115,8 +117,8 @@ describe('Integration Tests', () => {
 
             try {
                 // eslint-disable-next-line sonarjs/os-command
-                execSync(`node import-pocket-to-omnivore.js "${csvPath}"`, {
-                    cwd: path.join(__dirname, '..'),
+                execSync(`node "${scriptPath}" "${csvPath}"`, {
+                    cwd: testDataDir,
                     env: { ...process.env, OMNIVORE_API_KEY: 'test-key' },
                     encoding: 'utf8',
                     timeout: 30000
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { LibraryIndex } from '../src/library-index.js';
+
+function createPagedOmnivore(items, pageSize) {
+    const requests = [];
+    return {
+        requests,
+        items: {
+            search: async params => {
+                requests.push(params);
+                const start = params.after || 0;
+                const edges = items.slice(start, start + pageSize).map(node => ({ node }));
+                const end = start + edges.length;
+                return {
+                    edges,
+                    pageInfo: { hasNextPage: end < items.length, endCursor: String(end) }
+                };
+            }
+        }
+    };
+}
+
+describe('LibraryIndex', () => {
+    describe('build', () => {
+        it('should page through the whole library', async () => {
+            const items = Array.from({ length: 5 }, (_, i) => ({ id: `id-${i}`, url: `https://example.com/${i}` }));
+            const omnivore = createPagedOmnivore(items, 2);
+
+            const index = await LibraryIndex.build(omnivore);
+
+            assert.strictEqual(index.size, 5);
+            assert.strictEqual(omnivore.requests.length, 3);
+            assert.deepStrictEqual(
+                omnivore.requests.map(request => request.after),
+                [0, 2, 4]
+            );
+            assert.strictEqual(omnivore.requests[0].query, 'in:all');
+        });
+
+        it('should wrap page requests with the given function', async () => {
+            const omnivore = createPagedOmnivore([{ id: 'id-1', url: 'https://example.com/1' }], 10);
+            let wrapped = 0;
+
+            await LibraryIndex.build(omnivore, {
+                fetchPage: request => {
+                    wrapped++;
+                    return request();
+                }
+            });
+
+            assert.strictEqual(wrapped, 1);
+        });
+
+        it('should handle an empty library', async () => {
+            const index = await LibraryIndex.build(createPagedOmnivore([], 10));
+
+            assert.strictEqual(index.size, 0);
+        });
+    });
+
+    describe('lookup', () => {
+        it('should find items by normalized original or final URL', () => {
+            const index = new LibraryIndex();
+            const item = {
+                id: 'id-1',
+                url: 'https://example.com/final',
+                originalArticleUrl: 'https://example.com/original?utm_source=pocket'
+            };
+
+            index.add(item);
+
+            assert.strictEqual(index.get('http://www.example.com/original/'), item);
+            assert.strictEqual(index.get('https://example.com/final#top'), item);
+            assert.strictEqual(index.has('https://example.com/other'), false);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LinkAuditor } from '../src/link-auditor.js';
+import { CsvParser } from '../src/csv-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Unix timestamps of 2019-01-01 and 2021-01-01
+const SAVED_2019 = '1546300800';
+const SAVED_2021 = '1609459200';
+
+describe('LinkAuditor', () => {
+    const testDataDir = path.join(__dirname, 'test-data-link-audit');
+    let auditor;
+
+    const check = (status, statusCode, reason) => ({ status, statusCode, reason });
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+        auditor = new LinkAuditor();
+        auditor.record(
+            1,
+            { title: 'One', url: 'https://www.example.com/1', timeAdded: SAVED_2019 },
+            check('dead', 404, 'HTTP 404')
+        );
+        auditor.record(
+            2,
+            { title: 'Two', url: 'https://example.com/2', timeAdded: SAVED_2021 },
+            check('alive', 200, 'OK')
+        );
+        auditor.record(
+            3,
+            { title: 'Three', url: 'https://gone.org/3', timeAdded: SAVED_2019 },
+            check('dead', null, 'ENOTFOUND')
+        );
+        auditor.record(
+            4,
+            { title: 'Four', url: 'https://example.com/4', timeAdded: SAVED_2021 },
+            check('dead', 410, 'HTTP 410')
+        );
+        auditor.record(
+            5,
+            { title: 'Five', url: 'https://news.net/5', timeAdded: SAVED_2021 },
+            check('uncertain', 429, 'HTTP 429')
+        );
+        auditor.recordInvalid(6, { title: 'Six', url: '' }, 'Row 6: Missing URL');
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('record', () => {
+        it('should keep the domain of each link without www.', () => {
+            auditor.record(7, { title: 'Seven', url: 'https://WWW.Example.com/7' }, check('alive', 200, 'OK'));
+            auditor.recordInvalid(8, { title: 'Eight', url: 'not a url' }, 'Row 8: Invalid URL');
+
+            assert.strictEqual(auditor.links[6].domain, 'example.com');
+            assert.strictEqual(auditor.links[7].domain, '');
+        });
+    });
+
+    describe('getYearSaved', () => {
+        it('should return the year of the Pocket timestamp', () => {
+            assert.strictEqual(LinkAuditor.getYearSaved(SAVED_2021), '2021');
+            assert.strictEqual(LinkAuditor.getYearSaved(''), 'unknown');
+            assert.strictEqual(LinkAuditor.getYearSaved(undefined), 'unknown');
+        });
+    });
+
+    describe('counts', () => {
+        it('should keep running counts by state', () => {
+            assert.deepStrictEqual(auditor.counts, { alive: 1, dead: 3, uncertain: 1, invalid: 1 });
+        });
+    });
+
+    describe('getSummary', () => {
+        it('should count links by state, leaving invalid rows out of the dead ratio', () => {
+            const summary = auditor.getSummary();
+
+            assert.strictEqual(summary.total, 6);
+            assert.strictEqual(summary.alive, 1);
+            assert.strictEqual(summary.dead, 3);
+            assert.strictEqual(summary.uncertain, 1);
+            assert.strictEqual(summary.invalid, 1);
+            assert.strictEqual(summary.deadRatio, 0.6);
+        });
+
+        it('should break down the outcomes by HTTP status and error code', () => {
+            assert.deepStrictEqual(auditor.getSummary().outcomes, [
+                { outcome: 'ENOTFOUND', count: 1 },
+                { outcome: 'HTTP 200', count: 1 },
+                { outcome: 'HTTP 404', count: 1 },
+                { outcome: 'HTTP 410', count: 1 },
+                { outcome: 'HTTP 429', count: 1 }
+            ]);
+        });
+
+        it('should list the domains with the most dead links first', () => {
+            assert.deepStrictEqual(auditor.getSummary().domains, [
+                { domain: 'example.com', total: 3, dead: 2, deadRatio: 0.6667 },
+                { domain: 'gone.org', total: 1, dead: 1, deadRatio: 1 }
+            ]);
+        });
+
+        it('should give the dead link ratio by year saved', () => {
+            assert.deepStrictEqual(auditor.getSummary().years, [
+                { year: '2019', total: 2, dead: 2, deadRatio: 1 },
+                { year: '2021', total: 3, dead: 1, deadRatio: 0.3333 }
+            ]);
+        });
+
+        it('should report an empty audit', () => {
+            const summary = new LinkAuditor().getSummary();
+
+            assert.strictEqual(summary.total, 0);
+            assert.strictEqual(summary.deadRatio, 0);
+            assert.deepStrictEqual(summary.domains, []);
+        });
+    });
+
+    describe('writeCsv', () => {
+        it('should write the state of every link', async () => {
+            const csvPath = path.join(testDataDir, 'audit.csv');
+
+            auditor.writeCsv(csvPath);
+
+            const rows = await CsvParser.parseCsvFile(csvPath);
+            assert.strictEqual(rows.length, 6);
+            assert.deepStrictEqual(rows[0], {
+                row: '1',
+                title: 'One',
+                url: 'https://www.example.com/1',
+                status: 'dead',
+                status_code: '404',
+                reason: 'HTTP 404',
+                final_url: 'https://www.example.com/1',
+                domain: 'example.com',
+                year_saved: '2019'
+            });
+            assert.strictEqual(rows[5].status, 'invalid');
+            assert.strictEqual(rows[5].reason, 'Row 6: Missing URL');
+        });
+
+        it('should list the links in export order', async () => {
+            const csvPath = path.join(testDataDir, 'audit.csv');
+            const unordered = new LinkAuditor();
+            unordered.record(2, { title: 'Two', url: 'https://example.com/2' }, check('alive', 200, 'OK'));
+            unordered.record(1, { title: 'One', url: 'https://example.com/1' }, check('dead', 404, 'HTTP 404'));
+
+            unordered.writeCsv(csvPath);
+
+            const rows = await CsvParser.parseCsvFile(csvPath);
+            assert.deepStrictEqual(
+                rows.map(row => row.row),
+                ['1', '2']
+            );
+        });
+    });
+
+    describe('writeJson', () => {
+        it('should write the summary and every link', () => {
+            const jsonPath = path.join(testDataDir, 'audit.json');
+
+            auditor.writeJson(jsonPath);
+
+            const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            assert(!isNaN(Date.parse(report.generatedAt)));
+            assert.deepStrictEqual(report.summary, auditor.getSummary());
+            assert.strictEqual(report.links.length, 6);
+            assert.strictEqual(report.links[2].reason, 'ENOTFOUND');
+        });
+
+        it('should list the links in export order', () => {
+            const jsonPath = path.join(testDataDir, 'audit.json');
+            auditor.record(0, { title: 'Zero', url: 'https://example.com/0' }, check('alive', 200, 'OK'));
+
+            auditor.writeJson(jsonPath);
+
+            const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            assert.deepStrictEqual(
+                report.links.map(link => link.row),
+                [0, 1, 2, 3, 4, 5, 6]
+            );
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LivenessCache } from '../src/liveness-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('LivenessCache', () => {
+    const testDataDir = path.join(__dirname, 'test-data-url-cache');
+    const cachePath = path.join(testDataDir, 'url-cache.jsonl');
+    let now;
+
+    const createCache = (options = {}) => new LivenessCache(cachePath, { now: () => now, ...options });
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+        now = Date.parse('2025-06-01T00:00:00Z');
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('record', () => {
+        it('should append one entry per check', () => {
+            const cache = createCache();
+
+            cache.record('https://example.com/1', {
+                status: 'alive',
+                statusCode: 200,
+                reason: 'OK',
+                finalUrl: 'https://www.example.com/1',
+                redirects: 1
+            });
+            cache.record('https://example.com/2', { status: 'dead', statusCode: 404, reason: 'HTTP 404' });
+
+            const lines = fs.readFileSync(cachePath, 'utf8').trim().split('\n');
+            assert.deepStrictEqual(JSON.parse(lines[0]), {
+                url: 'https://example.com/1',
+                status: 'alive',
+                statusCode: 200,
+                reason: 'OK',
+                finalUrl: 'https://www.example.com/1',
+                checkedAt: '2025-06-01T00:00:00.000Z'
+            });
+            assert.strictEqual(JSON.parse(lines[1]).finalUrl, 'https://example.com/2');
+        });
+
+        it('should not record failures that may be transient', () => {
+            const cache = createCache();
+
+            cache.record('https://gone.example.com/1', { status: 'dead', statusCode: null, reason: 'ENOTFOUND' });
+            cache.record('https://gone.example.com/2', { status: 'dead', statusCode: null, reason: 'ECONNREFUSED' });
+            cache.record('https://slow.example.com/4', { status: 'uncertain', statusCode: null, reason: 'Timeout' });
+            cache.record('https://busy.example.com/5', { status: 'uncertain', statusCode: 429, reason: 'HTTP 429' });
+            cache.record('https://down.example.com/6', { status: 'uncertain', statusCode: 503, reason: 'HTTP 503' });
+            cache.record('https://example.com/3', { status: 'dead', statusCode: 410, reason: 'HTTP 410' });
+
+            const lines = fs.readFileSync(cachePath, 'utf8').trim().split('\n');
+            assert.deepStrictEqual(
+                lines.map(line => JSON.parse(line).url),
+                ['https://example.com/3']
+            );
+            assert.strictEqual(cache.get('https://gone.example.com/1'), undefined);
+        });
+    });
+
+    describe('load and get', () => {
+        it('should answer with the latest check of a URL from a previous run', () => {
+            const previousRun = createCache();
+            previousRun.record('https://example.com/1', { status: 'dead', statusCode: 404, reason: 'HTTP 404' });
+            previousRun.record('https://example.com/1', { status: 'alive', statusCode: 200, reason: 'OK' });
+
+            const cache = createCache();
+
+            assert.strictEqual(cache.load(), 1);
+            assert.strictEqual(cache.get('https://example.com/1').status, 'alive');
+            assert.strictEqual(cache.get('https://example.com/2'), undefined);
+            assert.strictEqual(cache.hits, 1);
+        });
+
+        it('should not answer with checks older than the TTL', () => {
+            createCache().record('https://example.com/1', { status: 'alive', statusCode: 200, reason: 'OK' });
+            now += 3 * DAY_MS;
+
+            const cache = createCache({ ttlDays: 2 });
+
+            assert.strictEqual(cache.load(), 0);
+            assert.strictEqual(cache.get('https://example.com/1'), undefined);
+            assert.strictEqual(cache.hits, 0);
+        });
+
+        it('should ignore truncated lines and start empty without a file', () => {
+            assert.strictEqual(createCache().load(), 0);
+
+            fs.writeFileSync(
+                cachePath,
+                '{"url":"https://example.com/1","status":"alive","checkedAt":"2025-06-01T00:00:00Z"}\n{"url":'
+            );
+
+            assert.strictEqual(createCache().load(), 1);
+        });
+    });
+
+    describe('prune', () => {
+        it('should keep the latest valid check of each URL', () => {
+            const previousRun = createCache();
+            previousRun.record('https://example.com/old', { status: 'alive', statusCode: 200, reason: 'OK' });
+            now += 10 * DAY_MS;
+            previousRun.record('https://example.com/1', { status: 'dead', statusCode: 404, reason: 'HTTP 404' });
+            previousRun.record('https://example.com/1', { status: 'alive', statusCode: 200, reason: 'OK' });
+
+            const cache = createCache();
+            cache.load();
+
+            assert.strictEqual(cache.prune(), 2);
+            const lines = fs.readFileSync(cachePath, 'utf8').trim().split('\n');
+            assert.deepStrictEqual(
+                lines.map(line => JSON.parse(line).url),
+                ['https://example.com/1']
+            );
+            assert.strictEqual(cache.get('https://example.com/1').status, 'alive');
+        });
+    });
+});
@@ -1,5 +1,8 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { Logger } from '../src/logger.js';
 
 describe('Logger', () => {
@@ -37,6 +40,7 @@ describe('Logger', () => {
         console.log = originalConsoleLog;
         process.stdout.write = originalStdoutWrite;
         process.stdout.isTTY = originalIsTTY;
+        Logger.reset();
     });
 
     describe('Basic logging methods', () => {
@@ -118,6 +122,90 @@ describe('Logger', () => {
         });
     });
 
+    describe('Progress timing', () => {
+        let now;
+
+        beforeEach(() => {
+            now = Date.parse('2025-06-01T10:00:00Z');
+            Logger.configure({ now: () => now });
+        });
+
+        it('should format durations', () => {
+            assert.strictEqual(Logger.formatDuration(45000), '45s');
+            assert.strictEqual(Logger.formatDuration(750000), '12m 30s');
+            assert.strictEqual(Logger.formatDuration(7500000), '2h 05m');
+        });
+
+        it('should measure elapsed time, ETA and throughput from the first update', () => {
+            Logger.updateProgress(0, 100);
+            now += 10 * 60000;
+
+            assert.deepStrictEqual(Logger.getProgressTiming(40, 100), {
+                elapsedMs: 600000,
+                etaMs: 900000,
+                perMinute: 4
+            });
+        });
+
+        it('should not estimate before an item is processed', () => {
+            assert.deepStrictEqual(Logger.getProgressTiming(0, 100), { elapsedMs: 0, etaMs: null, perMinute: null });
+        });
+
+        it('should start a new clock after finalizing progress', () => {
+            Logger.updateProgress(0, 100);
+            now += 60000;
+            Logger.finalizeProgress();
+
+            assert.strictEqual(Logger.getProgressTiming(0, 100).elapsedMs, 0);
+        });
+
+        it('should show the timing, counts, phase and title on two lines with TTY', () => {
+            Logger.updateProgress(0, 100, 'First');
+            now += 5 * 60000;
+            writeOutput = [];
+
+            Logger.updateProgress(25, 100, 'Test Article', {
+                counts: { saved: 20, skipped: 3, failed: 2 },
+                phase: 'Checking URL'
+            });
+
+            const output = writeOutput.join('');
+            assert(output.includes('25% (25/100) 5m 00s elapsed · ETA 15m 00s · 5/min'));
+            assert(output.includes('\n           saved 20 · skipped 3 · failed 2 · Checking URL · Test Article'));
+        });
+
+        it('should erase the progress lines before logging a message', () => {
+            Logger.updateProgress(1, 10, 'Article');
+            writeOutput = [];
+
+            Logger.warning('Dead URL');
+
+            // Back to the first progress line, then cleared to the end of the screen
+            assert(writeOutput.includes('\x1b[1A'));
+            assert(writeOutput.includes('\x1b[0J'));
+            assert(logOutput[0].includes('Dead URL'));
+        });
+
+        it('should print summary lines on an interval without TTY', () => {
+            process.stdout.isTTY = false;
+            Logger.configure({ now: () => now, progressIntervalMs: 30000 });
+
+            Logger.updateProgress(0, 100);
+            now += 10000;
+            Logger.updateProgress(10, 100, 'Article', { counts: { saved: 10 }, phase: 'Saving' });
+            now += 20000;
+            Logger.updateProgress(30, 100, 'Article', { counts: { saved: 29, failed: 1 }, phase: 'Saving' });
+            now += 1000;
+            Logger.updateProgress(100, 100);
+
+            assert.deepStrictEqual(logOutput, [
+                'Progress: 0/100 articles processed | 0s elapsed',
+                'Progress: 30/100 articles processed | 30s elapsed · ETA 1m 10s · 60/min | saved 29 · failed 1 · Saving',
+                'Progress: 100/100 articles processed | 31s elapsed · ETA 0s · 193.5/min'
+            ]);
+        });
+    });
+
     describe('Progress finalization', () => {
         it('should write newline when finalizing progress with TTY', () => {
             Logger.finalizeProgress();
@@ -132,4 +220,164 @@ describe('Logger', () => {
             assert(output.endsWith('\n'));
         });
     });
+
+    describe('Levels', () => {
+        it('should drop debug events by default', () => {
+            Logger.debug('Hidden');
+            Logger.info('Shown');
+
+            assert.strictEqual(logOutput.length, 1);
+            assert(logOutput[0].includes('Shown'));
+        });
+
+        it('should log debug events at the debug level', () => {
+            Logger.configure({ level: 'debug' });
+
+            Logger.debug('URL checked');
+
+            assert(logOutput[0].includes('[DEBUG]'));
+            assert(logOutput[0].includes('URL checked'));
+        });
+
+        it('should only log warnings and errors at the warn level', () => {
+            Logger.configure({ level: 'warn' });
+
+            Logger.info('Info');
+            Logger.success('Success');
+            Logger.warning('Warning');
+            Logger.error('Error');
+            Logger.updateProgress(5, 10, 'Article');
+            Logger.finalizeProgress();
+
+            assert.deepStrictEqual(
+                logOutput.map(line => line.replace(/^.*\] /, '')),
+                ['Warning', 'Error']
+            );
+            assert.deepStrictEqual(writeOutput, []);
+        });
+
+        it('should reject unknown levels and formats', () => {
+            assert.throws(() => Logger.configure({ level: 'trace' }), /Unknown log level "trace"/);
+            assert.throws(() => Logger.configure({ format: 'xml' }), /Unknown log format "xml"/);
+        });
+    });
+
+    describe('Colors', () => {
+        let originalNoColor;
+
+        beforeEach(() => {
+            originalNoColor = process.env.NO_COLOR;
+            delete process.env.NO_COLOR;
+        });
+
+        afterEach(() => {
+            if (originalNoColor === undefined) {
+                delete process.env.NO_COLOR;
+            } else {
+                process.env.NO_COLOR = originalNoColor;
+            }
+        });
+
+        it('should color the output on a TTY', () => {
+            Logger.info('Colored');
+            assert(logOutput[0].startsWith('\x1b[0;34m[INFO]\x1b[0m'));
+        });
+
+        it('should not color the output when NO_COLOR is set', () => {
+            process.env.NO_COLOR = '1';
+            Logger.info('Plain');
+            assert.strictEqual(logOutput[0], '[INFO] Plain');
+        });
+
+        it('should not color the output without a TTY', () => {
+            process.stdout.isTTY = false;
+            Logger.success('Plain');
+            assert.strictEqual(logOutput[0], '[SUCCESS] Plain');
+        });
+    });
+
+    describe('JSON format', () => {
+        beforeEach(() => {
+            Logger.configure({ format: 'json' });
+        });
+
+        it('should log one JSON object per event', () => {
+            Logger.warning('Dead URL');
+            Logger.success('Done');
+
+            const events = logOutput.map(line => JSON.parse(line));
+            assert.strictEqual(events[0].level, 'warn');
+            assert.strictEqual(events[0].message, 'Dead URL');
+            assert(!isNaN(Date.parse(events[0].time)));
+            assert.strictEqual(events[1].level, 'info');
+            assert.strictEqual(events[1].success, true);
+        });
+
+        it('should log progress as events instead of drawing a bar', () => {
+            let now = 0;
+            Logger.configure({ format: 'json', now: () => now });
+
+            Logger.updateProgress(0, 10, 'Article');
+            now = 60000;
+            Logger.updateProgress(5, 10, 'Article', { counts: { saved: 4, skipped: 1 }, phase: 'Saving' });
+            Logger.finalizeProgress();
+
+            assert.strictEqual(logOutput.length, 2);
+            assert.deepStrictEqual(JSON.parse(logOutput[1]).progress, {
+                current: 5,
+                total: 10,
+                elapsedMs: 60000,
+                etaMs: 60000,
+                perMinute: 5,
+                counts: { saved: 4, skipped: 1 },
+                phase: 'Saving'
+            });
+            assert.deepStrictEqual(writeOutput, []);
+        });
+    });
+
+    describe('Sinks', () => {
+        let logDir;
+
+        beforeEach(() => {
+            logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(logDir, { recursive: true, force: true });
+        });
+
+        it('should append every event to the log file as JSON lines', () => {
+            const logFile = path.join(logDir, 'import.log');
+            Logger.configure({ logFile });
+
+            Logger.info('First');
+            Logger.error('Second');
+
+            const events = fs
+                .readFileSync(logFile, 'utf8')
+                .trim()
+                .split('\n')
+                .map(line => JSON.parse(line));
+            assert.deepStrictEqual(
+                events.map(event => [event.level, event.message]),
+                [
+                    ['info', 'First'],
+                    ['error', 'Second']
+                ]
+            );
+            assert(logOutput[0].includes('[INFO]'));
+        });
+
+        it('should send events to added sinks', () => {
+            const events = [];
+            Logger.addSink({ write: event => events.push(event) });
+
+            Logger.warning('Retrying');
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].level, 'warn');
+            assert.strictEqual(events[0].message, 'Retrying');
+        });
+    });
 });
@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { OmnivoreGraphql } from '../src/omnivore-graphql.js';
+
+describe('OmnivoreGraphql', () => {
+    let server;
+    let baseUrl;
+    let respond;
+    let lastRequest;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+                const { status = 200, payload } = respond(lastRequest.body);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    describe('request', () => {
+        it('should post the query with the API key and return the data', async () => {
+            respond = () => ({ payload: { data: { ok: true } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            const data = await graphql.request('query { ok }', { id: 1 });
+
+            assert.deepStrictEqual(data, { ok: true });
+            assert.strictEqual(lastRequest.url, '/api/graphql');
+            assert.strictEqual(lastRequest.headers.authorization, 'api-key');
+            assert.deepStrictEqual(lastRequest.body, { query: 'query { ok }', variables: { id: 1 } });
+        });
+
+        it('should use the public Omnivore server by default', () => {
+            const graphql = new OmnivoreGraphql('api-key');
+
+            assert.strictEqual(graphql.endpoint, 'https://api-prod.omnivore.app/api/graphql');
+        });
+
+        it('should throw GraphQL errors with their code', async () => {
+            respond = () => ({ payload: { errors: [{ message: 'Unknown field' }, { message: 'Bad input' }] } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            await assert.rejects(() => graphql.request('query { nope }'), {
+                message: 'Unknown field, Bad input',
+                code: 'GRAPHQL_ERROR'
+            });
+        });
+
+        it('should throw HTTP errors with their status', async () => {
+            respond = () => ({ status: 503, payload: {} });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            await assert.rejects(() => graphql.request('query { ok }'), { message: 'HTTP 503 Service Unavailable' });
+        });
+
+        it('should throw network errors with the network error code', async () => {
+            const graphql = new OmnivoreGraphql('api-key', 'http://127.0.0.1:1');
+
+            await assert.rejects(() => graphql.request('query { ok }'), { code: 'NETWORK_ERROR' });
+        });
+    });
+
+    describe('getArticle', () => {
+        it('should return the article state', async () => {
+            respond = () => ({
+                payload: { data: { article: { article: { id: 'article-id', state: 'SUCCEEDED' } } } }
+            });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            const article = await graphql.getArticle('article-id');
+
+            assert.deepStrictEqual(article, { id: 'article-id', state: 'SUCCEEDED' });
+            assert.deepStrictEqual(lastRequest.body.variables, { slug: 'article-id' });
+        });
+
+        it('should return null when the article is not found', async () => {
+            respond = () => ({ payload: { data: { article: { errorCodes: ['NOT_FOUND'] } } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            assert.strictEqual(await graphql.getArticle('article-id'), null);
+        });
+    });
+
+    describe('updateTitle', () => {
+        it('should update the title of the article', async () => {
+            respond = ({ variables }) => ({
+                payload: { data: { updatePage: { updatedPage: { id: variables.input.pageId, title: 'Title' } } } }
+            });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            assert.deepStrictEqual(await graphql.updateTitle('article-id', 'Title'), {
+                id: 'article-id',
+                title: 'Title'
+            });
+            assert.deepStrictEqual(lastRequest.body.variables, { input: { pageId: 'article-id', title: 'Title' } });
+        });
+
+        it('should throw the error codes of a rejected update', async () => {
+            respond = () => ({ payload: { data: { updatePage: { errorCodes: ['UNAUTHORIZED'] } } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            await assert.rejects(() => graphql.updateTitle('article-id', 'Title'), {
+                message: 'UNAUTHORIZED',
+                code: 'GRAPHQL_ERROR'
+            });
+        });
+    });
+
+    describe('getLabels', () => {
+        it('should return the labels of the user', async () => {
+            const labels = [{ id: 'label-id', name: 'Tech', color: '#123456', description: null }];
+            respond = () => ({ payload: { data: { labels: { labels } } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            assert.deepStrictEqual(await graphql.getLabels(), labels);
+            assert.match(lastRequest.body.query, /labels/);
+        });
+
+        it('should throw the error codes of a rejected request', async () => {
+            respond = () => ({ payload: { data: { labels: { errorCodes: ['UNAUTHORIZED'] } } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            await assert.rejects(() => graphql.getLabels(), { message: 'UNAUTHORIZED', code: 'GRAPHQL_ERROR' });
+        });
+    });
+
+    describe('createHighlight', () => {
+        it('should return the created highlight', async () => {
+            respond = ({ variables }) => ({
+                payload: { data: { createHighlight: { highlight: { id: variables.input.id } } } }
+            });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            const highlight = await graphql.createHighlight({ id: 'highlight-id', quote: 'Quote' });
+
+            assert.deepStrictEqual(highlight, { id: 'highlight-id' });
+        });
+
+        it('should throw the error codes of a rejected highlight', async () => {
+            respond = () => ({ payload: { data: { createHighlight: { errorCodes: ['NOT_FOUND'] } } } });
+            const graphql = new OmnivoreGraphql('api-key', baseUrl);
+
+            await assert.rejects(() => graphql.createHighlight({ id: 'highlight-id' }), {
+                message: 'NOT_FOUND',
+                code: 'GRAPHQL_ERROR'
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RateLimiter } from '../src/rate-limiter.js';
+
+describe('RateLimiter', () => {
+    describe('acquire', () => {
+        it('should allow a burst up to the capacity', async () => {
+            const limiter = new RateLimiter({ intervalMs: 1000, capacity: 3 });
+            const start = Date.now();
+
+            await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+            assert(Date.now() - start < 100);
+        });
+
+        it('should space requests by the interval once the bucket is empty', async () => {
+            const limiter = new RateLimiter({ intervalMs: 50, capacity: 1 });
+            const start = Date.now();
+
+            await limiter.acquire();
+            await limiter.acquire();
+            await limiter.acquire();
+
+            assert(Date.now() - start >= 90);
+        });
+
+        it('should never wait with a zero interval', async () => {
+            const limiter = new RateLimiter({ intervalMs: 0 });
+            const start = Date.now();
+
+            for (let i = 0; i < 10; i++) {
+                await limiter.acquire();
+            }
+
+            assert(Date.now() - start < 50);
+        });
+    });
+
+    describe('backoff', () => {
+        it('should double the interval up to the maximum', () => {
+            const limiter = new RateLimiter({ intervalMs: 200, maxIntervalMs: 1000 });
+
+            assert.strictEqual(limiter.backoff(), 400);
+            assert.strictEqual(limiter.backoff(), 800);
+            assert.strictEqual(limiter.backoff(), 1000);
+        });
+
+        it('should empty the bucket', () => {
+            const limiter = new RateLimiter({ intervalMs: 200, capacity: 5 });
+
+            limiter.backoff();
+
+            assert.strictEqual(limiter.tokens, 0);
+        });
+
+        it('should start from a minimal interval when the base interval is zero', () => {
+            const limiter = new RateLimiter({ intervalMs: 0 });
+
+            assert.strictEqual(limiter.backoff(), 200);
+        });
+    });
+
+    describe('recover', () => {
+        it('should return gradually to the base interval', () => {
+            const limiter = new RateLimiter({ intervalMs: 200, recoveryFactor: 0.5 });
+            limiter.backoff();
+            limiter.backoff();
+
+            limiter.recover();
+            assert.strictEqual(limiter.intervalMs, 400);
+
+            limiter.recover();
+            limiter.recover();
+            assert.strictEqual(limiter.intervalMs, 200);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RetryPolicy } from '../src/retry-policy.js';
+
+function errorWithCode(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+describe('RetryPolicy', () => {
+    describe('isTransient', () => {
+        it('should treat timeouts, rate limiting and server errors as transient', () => {
+            assert.strictEqual(RetryPolicy.isTransient(new Error('Request timed out')), true);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('[Network] Too Many Requests')), true);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('HTTP 429')), true);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('HTTP 503 Service Unavailable')), true);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('Bad Gateway')), true);
+        });
+
+        it('should treat dropped connections as transient', () => {
+            assert.strictEqual(RetryPolicy.isTransient(errorWithCode('read failed', 'ECONNRESET')), true);
+            assert.strictEqual(RetryPolicy.isTransient(errorWithCode('lookup failed', 'EAI_AGAIN')), true);
+            assert.strictEqual(RetryPolicy.isTransient(errorWithCode('fetch failed', 'NETWORK_ERROR')), true);
+        });
+
+        it('should treat invalid URLs and authentication failures as permanent', () => {
+            assert.strictEqual(RetryPolicy.isTransient(new Error('Invalid URL')), false);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('UNAUTHORIZED')), false);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('[Network] 401 Unauthorized')), false);
+            assert.strictEqual(RetryPolicy.isTransient(new Error('403 Forbidden')), false);
+        });
+
+        it('should treat unknown errors as permanent', () => {
+            assert.strictEqual(RetryPolicy.isTransient(new Error('Network error')), false);
+            assert.strictEqual(RetryPolicy.isTransient(undefined), false);
+        });
+    });
+
+    describe('getDelay', () => {
+        it('should grow exponentially', () => {
+            const policy = new RetryPolicy({ baseDelayMs: 100, random: () => 1 });
+
+            assert.strictEqual(policy.getDelay(1), 100);
+            assert.strictEqual(policy.getDelay(2), 200);
+            assert.strictEqual(policy.getDelay(3), 400);
+        });
+
+        it('should apply jitter down to half of the delay', () => {
+            const policy = new RetryPolicy({ baseDelayMs: 100, random: () => 0 });
+
+            assert.strictEqual(policy.getDelay(3), 200);
+        });
+
+        it('should never exceed the maximum delay', () => {
+            const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, random: () => 1 });
+
+            assert.strictEqual(policy.getDelay(10), 5000);
+        });
+    });
+
+    describe('execute', () => {
+        it('should return the result without retrying on success', async () => {
+            const policy = new RetryPolicy({ baseDelayMs: 1 });
+            let attempts = 0;
+
+            const result = await policy.execute(async () => {
+                attempts++;
+                return 'saved';
+            });
+
+            assert.strictEqual(result, 'saved');
+            assert.strictEqual(attempts, 1);
+        });
+
+        it('should retry transient errors until the operation succeeds', async () => {
+            const policy = new RetryPolicy({ baseDelayMs: 1 });
+            const retries = [];
+            let attempts = 0;
+
+            const result = await policy.execute(
+                async () => {
+                    attempts++;
+                    if (attempts < 3) {
+                        throw new Error('HTTP 503');
+                    }
+                    return 'saved';
+                },
+                (_error, retry) => retries.push(retry)
+            );
+
+            assert.strictEqual(result, 'saved');
+            assert.strictEqual(attempts, 3);
+            assert.deepStrictEqual(retries, [1, 2]);
+        });
+
+        it('should give up after the maximum number of retries', async () => {
+            const policy = new RetryPolicy({ maxRetries: 2, baseDelayMs: 1 });
+            let attempts = 0;
+            const operation = async () => {
+                attempts++;
+                throw new Error('Request timeout');
+            };
+
+            await assert.rejects(
+                () => policy.execute(operation),
+                error => error.retries === 2
+            );
+
+            assert.strictEqual(attempts, 3);
+        });
+
+        it('should not retry permanent errors', async () => {
+            const policy = new RetryPolicy({ baseDelayMs: 1 });
+            let attempts = 0;
+            const operation = async () => {
+                attempts++;
+                throw new Error('UNAUTHORIZED');
+            };
+
+            await assert.rejects(
+                () => policy.execute(operation),
+                error => error.retries === 0
+            );
+
+            assert.strictEqual(attempts, 1);
+        });
+    });
+});
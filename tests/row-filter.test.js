@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RowFilter } from '../src/row-filter.js';
+
+// 2021-06-15 and 2022-06-15, in seconds
+const JUNE_2021 = '1623715200';
+const JUNE_2022 = '1655251200';
+
+function row(fields) {
+    return {
+        title: 'Article',
+        url: 'https://example.com/post',
+        tags: '',
+        time_added: JUNE_2022,
+        status: 'unread',
+        ...fields
+    };
+}
+
+describe('RowFilter', () => {
+    describe('parseDate', () => {
+        it('should parse the start of a year, a month or a day', () => {
+            assert.strictEqual(RowFilter.parseDate('2022', 'start'), Date.UTC(2022, 0, 1));
+            assert.strictEqual(RowFilter.parseDate('2022-06', 'start'), Date.UTC(2022, 5, 1));
+            assert.strictEqual(RowFilter.parseDate('2022-06-15', 'start'), Date.UTC(2022, 5, 15));
+        });
+
+        it('should parse the end of a period as the start of the next one', () => {
+            assert.strictEqual(RowFilter.parseDate('2022', 'end'), Date.UTC(2023, 0, 1));
+            assert.strictEqual(RowFilter.parseDate('2022-12', 'end'), Date.UTC(2023, 0, 1));
+            assert.strictEqual(RowFilter.parseDate('2022-02-28', 'end'), Date.UTC(2022, 2, 1));
+        });
+
+        it('should throw error for invalid dates', () => {
+            for (const value of ['22', '2022-13', '2022-02-30', 'yesterday']) {
+                assert.throws(() => RowFilter.parseDate(value, 'start'), { message: /Invalid date/ });
+            }
+        });
+    });
+
+    describe('accepts', () => {
+        it('should accept every row without filters', () => {
+            const filter = new RowFilter();
+
+            assert.deepStrictEqual(filter.filters, []);
+            assert.strictEqual(filter.accepts(row({ time_added: '' })), true);
+        });
+
+        it('should filter by date range, rows without a date never matching', () => {
+            const filter = new RowFilter({ since: '2022', until: '2022-06-15' });
+
+            assert.strictEqual(filter.accepts(row({ time_added: JUNE_2022 })), true);
+            assert.strictEqual(filter.accepts(row({ time_added: JUNE_2021 })), false);
+            assert.strictEqual(filter.accepts(row({ time_added: String(Date.UTC(2022, 5, 16) / 1000) })), false);
+            assert.strictEqual(filter.accepts(row({ time_added: '' })), false);
+        });
+
+        it('should filter by status', () => {
+            const filter = new RowFilter({ statuses: ['unread'] });
+
+            assert.strictEqual(filter.accepts(row({ status: 'unread' })), true);
+            assert.strictEqual(filter.accepts(row({ status: 'archive' })), false);
+        });
+
+        it('should filter by tags, ignoring case', () => {
+            const filter = new RowFilter({ tags: ['Research', 'papers'], excludeTags: ['draft'] });
+
+            assert.strictEqual(filter.accepts(row({ tags: 'research|ai' })), true);
+            assert.strictEqual(filter.accepts(row({ tags: 'papers' })), true);
+            assert.strictEqual(filter.accepts(row({ tags: 'ai' })), false);
+            assert.strictEqual(filter.accepts(row({ tags: 'research|draft' })), false);
+        });
+
+        it('should filter by domain, including subdomains', () => {
+            const filter = new RowFilter({ excludeDomains: ['youtube.com'] });
+
+            assert.strictEqual(filter.accepts(row({ url: 'https://www.youtube.com/watch?v=1' })), false);
+            assert.strictEqual(filter.accepts(row({ url: 'https://m.youtube.com/watch?v=1' })), false);
+            assert.strictEqual(filter.accepts(row({ url: 'https://notyoutube.com/' })), true);
+            assert.strictEqual(new RowFilter({ domains: ['www.example.com'] }).accepts(row()), true);
+            assert.strictEqual(new RowFilter({ domains: ['example.com'] }).accepts(row({ url: 'not a url' })), false);
+        });
+    });
+
+    describe('getReport', () => {
+        it('should count each dropped row once, for the first filter it fails', () => {
+            const filter = new RowFilter({ since: '2022', statuses: ['unread'], domains: ['example.com'] });
+
+            filter.accepts(row({ time_added: JUNE_2021, status: 'archive' }));
+            filter.accepts(row({ status: 'archive' }));
+            filter.accepts(row());
+
+            assert.deepStrictEqual(filter.getReport(), [
+                { filter: '--since 2022', dropped: 1 },
+                { filter: '--status unread', dropped: 1 },
+                { filter: '--domain example.com', dropped: 0 }
+            ]);
+        });
+    });
+});
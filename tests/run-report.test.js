@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RunReport } from '../src/run-report.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('RunReport', () => {
+    const testDataDir = path.join(__dirname, 'test-data-run-report');
+    const config = { inputs: ['export.csv'], baseUrl: null, options: { dryRun: false } };
+    let now;
+    let report;
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+        now = new Date('2025-06-01T10:00:00Z');
+        report = new RunReport(config, { now: () => now });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('getOutcome', () => {
+        it('should tell saved, skipped and failed rows apart', () => {
+            assert.strictEqual(RunReport.getOutcome({ success: true }), 'saved');
+            assert.strictEqual(RunReport.getOutcome({ success: true, planned: true }), 'planned');
+            assert.strictEqual(RunReport.getOutcome({ success: false, skipped: true }), 'skipped');
+            assert.strictEqual(RunReport.getOutcome({ success: false, resumed: true }), 'skipped');
+            assert.strictEqual(RunReport.getOutcome({ success: false, alreadyPresent: true }), 'skipped');
+            assert.strictEqual(RunReport.getOutcome({ success: false, failed: true }), 'failed');
+        });
+    });
+
+    describe('getReason', () => {
+        it('should explain why a row was not saved', () => {
+            assert.strictEqual(RunReport.getReason({ success: true, reason: 'ignored' }), null);
+            assert.strictEqual(
+                RunReport.getReason({ skipped: true, reason: 'Dead URL: HTTP 404' }),
+                'Dead URL: HTTP 404'
+            );
+            assert.strictEqual(RunReport.getReason({ resumed: true }), 'Already imported by a previous run');
+            assert.strictEqual(RunReport.getReason({ alreadyPresent: true }), 'Already saved in Omnivore');
+        });
+    });
+
+    describe('addRow', () => {
+        it('should record the details of a row that was not saved', () => {
+            report.addRow(1, {
+                success: false,
+                alreadyPresent: true,
+                id: 'item-1',
+                title: 'Article',
+                url: 'https://example.com',
+                labels: ['tech']
+            });
+
+            assert.deepStrictEqual(report.rows, [
+                {
+                    row: 1,
+                    url: 'https://example.com',
+                    title: 'Article',
+                    outcome: 'skipped',
+                    id: 'item-1',
+                    labels: ['tech'],
+                    archived: false,
+                    archiveRule: null,
+                    reason: 'Already saved in Omnivore',
+                    errorCode: null
+                }
+            ]);
+        });
+
+        it('should only count saved and planned rows', () => {
+            report.addRow(1, { success: true, id: 'item-1', url: 'https://a.com' });
+            report.addRow(2, { success: true, planned: true, id: null, url: 'https://b.com' });
+            report.addRow(3, { success: false, failed: true, url: 'https://c.com', reason: 'Boom' });
+
+            assert.deepStrictEqual(report.outcomes, { saved: 1, planned: 1, skipped: 0, failed: 1 });
+            assert.deepStrictEqual(
+                report.rows.map(row => row.row),
+                [3]
+            );
+        });
+
+        it('should record filtered rows as skipped', () => {
+            report.addFilteredRow(4, { title: ' Video ', url: ' https://youtube.com/watch ' });
+
+            assert.strictEqual(report.rows[0].outcome, 'skipped');
+            assert.strictEqual(report.rows[0].reason, 'Filtered out');
+            assert.strictEqual(report.rows[0].url, 'https://youtube.com/watch');
+            assert.deepStrictEqual(report.rows[0].labels, []);
+        });
+    });
+
+    describe('build', () => {
+        it('should hold the config, timings, stats, outcome counts and rows in row order', () => {
+            report.addRow(3, { success: false, failed: true, url: 'https://c.com', reason: 'Boom', errorCode: 'E' });
+            report.addRow(1, { success: true, id: 'item-1', url: 'https://a.com' });
+            report.addRow(2, { success: false, skipped: true, url: 'https://b.com', reason: 'Dead URL: HTTP 404' });
+            now = new Date('2025-06-01T10:01:30Z');
+
+            const built = report.build({ total: 2 });
+
+            assert.strictEqual(built.status, 'completed');
+            assert.strictEqual(built.error, null);
+            assert.deepStrictEqual(built.config, config);
+            assert.deepStrictEqual(built.timings, {
+                startedAt: '2025-06-01T10:00:00.000Z',
+                finishedAt: '2025-06-01T10:01:30.000Z',
+                durationMs: 90000
+            });
+            assert.deepStrictEqual(built.stats, { total: 2 });
+            assert.deepStrictEqual(built.outcomes, { saved: 1, planned: 0, skipped: 1, failed: 1 });
+            assert.deepStrictEqual(
+                built.rows.map(row => [row.row, row.outcome, row.errorCode]),
+                [
+                    [2, 'skipped', null],
+                    [3, 'failed', 'E']
+                ]
+            );
+        });
+
+        it('should record the error that stopped the import', () => {
+            const built = report.build(null, new Error('Row 3: Network error'));
+
+            assert.strictEqual(built.status, 'failed');
+            assert.strictEqual(built.error, 'Row 3: Network error');
+            assert.strictEqual(built.stats, null);
+        });
+    });
+
+    describe('write', () => {
+        it('should write the report as JSON', () => {
+            const reportPath = path.join(testDataDir, 'report.json');
+            report.addRow(1, { success: true, id: 'item-1', url: 'https://a.com' });
+
+            report.write(reportPath, { total: 1 });
+
+            const written = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+            assert.deepStrictEqual(written, JSON.parse(JSON.stringify(report.build({ total: 1 }))));
+        });
+    });
+});
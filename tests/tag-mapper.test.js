@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TagMapper } from '../src/tag-mapper.js';
+import { TagProcessor } from '../src/tag-processor.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAPPING_YAML = `
+defaultColor: "#888888"
+rules:
+  - match: [js, javascript]
+    label: JavaScript
+  - match: to-read
+    drop: true
+  - pattern: "^lang-(.+)$"
+    label: "$1"
+labels:
+  JavaScript:
+    color: "#F7DF1E"
+    description: Articles about JavaScript
+`;
+
+describe('TagMapper', () => {
+    const testDataDir = path.join(__dirname, 'test-data-tag-mapper');
+
+    beforeEach(() => {
+        fs.mkdirSync(testDataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('load', () => {
+        it('should load YAML mapping files', async () => {
+            const mappingPath = path.join(testDataDir, 'tags.yaml');
+            fs.writeFileSync(mappingPath, MAPPING_YAML);
+
+            const mapper = await TagMapper.load(mappingPath);
+
+            assert.strictEqual(mapper.rules.length, 3);
+            assert.strictEqual(mapper.defaultColor, '#888888');
+        });
+
+        it('should load JSON mapping files', async () => {
+            const mappingPath = path.join(testDataDir, 'tags.json');
+            fs.writeFileSync(mappingPath, JSON.stringify({ rules: [{ match: 'js', label: 'JavaScript' }] }));
+
+            const mapper = await TagMapper.load(mappingPath);
+
+            assert.strictEqual(mapper.mapTag('JS').name, 'JavaScript');
+        });
+
+        it('should reject unreadable and invalid files', async () => {
+            const mappingPath = path.join(testDataDir, 'tags.json');
+            fs.writeFileSync(mappingPath, '{ "rules": [');
+
+            await assert.rejects(() => TagMapper.load(path.join(testDataDir, 'missing.yaml')), {
+                message: /Cannot read tag mapping file/
+            });
+            await assert.rejects(() => TagMapper.load(mappingPath), { message: /Invalid tag mapping file/ });
+        });
+    });
+
+    describe('constructor', () => {
+        it('should reject rules without a match or a pattern', () => {
+            assert.throws(() => new TagMapper({ rules: [{ label: 'JavaScript' }] }), {
+                message: /rule 1 needs either "match" or "pattern"/
+            });
+        });
+
+        it('should reject rules without a label that do not drop the tag', () => {
+            assert.throws(() => new TagMapper({ rules: [{ match: 'js', label: 'JS' }, { match: 'py' }] }), {
+                message: /rule 2 needs a "label" or "drop: true"/
+            });
+        });
+
+        it('should reject invalid patterns and colors', () => {
+            assert.throws(() => new TagMapper({ rules: [{ pattern: '(', label: 'x' }] }), {
+                message: /rule 1 has an invalid pattern/
+            });
+            assert.throws(() => new TagMapper({ labels: { JavaScript: { color: 'yellow' } } }), {
+                message: /label "JavaScript" color "yellow" is not a hex color/
+            });
+        });
+    });
+
+    describe('mapTag', () => {
+        let mapper;
+
+        beforeEach(() => {
+            mapper = new TagMapper({
+                defaultColor: '#888888',
+                rules: [
+                    { match: ['js', 'javascript'], label: 'JavaScript' },
+                    { match: 'to-read', drop: true },
+                    { pattern: '^lang-(.+)$', label: '$1' }
+                ],
+                labels: { JavaScript: { color: '#F7DF1E', description: 'Articles about JavaScript' } }
+            });
+        });
+
+        it('should rename and merge tags ignoring case', () => {
+            const expected = { name: 'JavaScript', color: '#F7DF1E', description: 'Articles about JavaScript' };
+
+            assert.deepStrictEqual(mapper.mapTag('js'), expected);
+            assert.deepStrictEqual(mapper.mapTag('JavaScript'), expected);
+        });
+
+        it('should drop tags', () => {
+            assert.strictEqual(mapper.mapTag('To-Read'), null);
+        });
+
+        it('should rewrite tags matching a pattern', () => {
+            assert.deepStrictEqual(mapper.mapTag('lang-rust'), { name: 'rust', color: '#888888', description: '' });
+        });
+
+        it('should use the label details of a rewritten tag', () => {
+            assert.strictEqual(mapper.mapTag('lang-javascript').color, '#F7DF1E');
+        });
+
+        it('should keep tags matching no rule', () => {
+            assert.deepStrictEqual(mapper.mapTag('design'), { name: 'design', color: '#888888', description: '' });
+        });
+
+        it('should default to the palette color of the label', () => {
+            assert.strictEqual(new TagMapper().mapTag('design').color, TagProcessor.getLabelColor('design'));
+        });
+    });
+
+    describe('getReport', () => {
+        it('should count the tags each rule applied to', () => {
+            const mapper = new TagMapper({
+                rules: [
+                    { match: ['js', 'javascript'], label: 'JavaScript' },
+                    { pattern: '^tmp-', drop: true }
+                ]
+            });
+
+            mapper.mapTag('js');
+            mapper.mapTag('javascript');
+            mapper.mapTag('design');
+
+            assert.deepStrictEqual(mapper.getReport(), [
+                { rule: '#1 merge "js", "javascript" → "JavaScript"', hits: 2 },
+                { rule: '#2 drop /^tmp-/i', hits: 0 }
+            ]);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { TagProcessor } from '../src/tag-processor.js';
+import { TagMapper } from '../src/tag-mapper.js';
 
 describe('TagProcessor', () => {
     describe('processTags', () => {
@@ -10,7 +11,7 @@ describe('TagProcessor', () => {
 
             assert.strictEqual(result.length, 3);
             assert.strictEqual(result[0].name, 'tech');
-            assert.strictEqual(result[0].color, '#EF8C43');
+            assert.strictEqual(result[0].color, TagProcessor.getLabelColor('tech'));
             assert.strictEqual(result[0].description, '');
 
             assert.strictEqual(result[1].name, 'programming');
@@ -58,7 +59,7 @@ describe('TagProcessor', () => {
 
             assert.strictEqual(result.length, 1);
             assert.strictEqual(result[0].name, 'technology');
-            assert.strictEqual(result[0].color, '#EF8C43');
+            assert.strictEqual(result[0].color, TagProcessor.getLabelColor('technology'));
         });
 
         it('should handle tags with special characters', () => {
@@ -110,14 +111,120 @@ describe('TagProcessor', () => {
         });
     });
 
+    describe('splitHierarchy', () => {
+        it('should expand a nested tag into the path down to every level', () => {
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('work/frontend/react', { mode: 'expand' }), [
+                'work',
+                'work/frontend',
+                'work/frontend/react'
+            ]);
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('work:infra', { mode: 'expand' }), [
+                'work',
+                'work:infra'
+            ]);
+        });
+
+        it('should keep the separators as written', () => {
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('work/infra:aws', { mode: 'expand' }), [
+                'work',
+                'work/infra',
+                'work/infra:aws'
+            ]);
+        });
+
+        it('should keep the last level in leaf mode', () => {
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('work/frontend/react', { mode: 'leaf' }), ['react']);
+        });
+
+        it('should use the given separators and skip empty levels', () => {
+            const hierarchy = { mode: 'expand', separators: '.-]' };
+
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('a.b--c]', hierarchy), ['a', 'a.b', 'a.b--c']);
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('a.b--c]', { ...hierarchy, mode: 'leaf' }), ['c']);
+            assert.deepStrictEqual(TagProcessor.splitHierarchy('work/infra', hierarchy), ['work/infra']);
+        });
+    });
+
+    describe('processTags with a tag hierarchy', () => {
+        it('should give each level a label and keep shared levels once', () => {
+            const result = TagProcessor.processTags('work/frontend|work/infra|news', null, { mode: 'expand' });
+
+            assert.deepStrictEqual(
+                result.map(label => label.name),
+                ['work', 'work/frontend', 'work/infra', 'news']
+            );
+        });
+
+        it('should keep tags as they are in flat mode', () => {
+            const result = TagProcessor.processTags('work/frontend|work/frontend', null, { mode: 'flat' });
+
+            assert.deepStrictEqual(
+                result.map(label => label.name),
+                ['work/frontend', 'work/frontend']
+            );
+        });
+
+        it('should apply the mapping rules to each level', () => {
+            const mapper = new TagMapper({ rules: [{ match: 'fe', label: 'frontend' }] });
+
+            const result = TagProcessor.processTags('work:fe', mapper, { mode: 'leaf' });
+
+            assert.deepStrictEqual(
+                result.map(label => label.name),
+                ['frontend']
+            );
+        });
+    });
+
+    describe('processTags with mapping rules', () => {
+        it('should apply the rules and keep merged labels once', () => {
+            const mapper = new TagMapper({
+                rules: [
+                    { match: ['js', 'javascript'], label: 'JavaScript' },
+                    { match: 'to-read', drop: true }
+                ]
+            });
+
+            const result = TagProcessor.processTags('js|JavaScript|to-read|design', mapper);
+
+            assert.deepStrictEqual(
+                result.map(label => label.name),
+                ['JavaScript', 'design']
+            );
+        });
+
+        it('should return no labels when every tag is dropped', () => {
+            const mapper = new TagMapper({ rules: [{ pattern: '.*', drop: true }] });
+
+            assert.deepStrictEqual(TagProcessor.processTags('to-read|later', mapper), []);
+        });
+    });
+
     describe('DEFAULT_TAG_COLOR', () => {
         it('should have correct default color', () => {
             assert.strictEqual(TagProcessor.DEFAULT_TAG_COLOR, '#EF8C43');
         });
+    });
+
+    describe('getLabelColor', () => {
+        it('should pick a palette color', () => {
+            assert(TagProcessor.LABEL_PALETTE.includes(TagProcessor.getLabelColor('test')));
+        });
+
+        it('should always give a name the same color whatever its case', () => {
+            assert.strictEqual(TagProcessor.getLabelColor('Design'), TagProcessor.getLabelColor('design'));
+            assert.strictEqual(TagProcessor.getLabelColor('design'), TagProcessor.getLabelColor('design'));
+        });
+
+        it('should spread names over the palette', () => {
+            const names = ['tech', 'design', 'news', 'recipes', 'travel', 'science', 'music', 'finance'];
+            const colors = new Set(names.map(name => TagProcessor.getLabelColor(name)));
+            assert(colors.size > 2);
+        });
 
-        it('should use default color in processed tags', () => {
+        it('should use the palette color in processed tags', () => {
             const result = TagProcessor.processTags('test');
-            assert.strictEqual(result[0].color, TagProcessor.DEFAULT_TAG_COLOR);
+            assert.strictEqual(result[0].color, TagProcessor.getLabelColor('test'));
         });
     });
 });
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TitleRestorer } from '../src/title-restorer.js';
+
+const item = { id: 'article-id', url: 'https://example.com/post', title: 'Pocket title' };
+
+function createGraphql(article) {
+    const graphql = {
+        updates: [],
+        getArticle: async () => article,
+        updateTitle: async (id, title) => {
+            if (title === 'rejected') {
+                throw new Error('BAD_DATA');
+            }
+            graphql.updates.push({ id, title });
+            return { id, title };
+        }
+    };
+    return graphql;
+}
+
+describe('TitleRestorer', () => {
+    describe('isEmptyTitle', () => {
+        it('should treat blank titles and the URL as missing', () => {
+            assert.strictEqual(TitleRestorer.isEmptyTitle('', item.url), true);
+            assert.strictEqual(TitleRestorer.isEmptyTitle(null, item.url), true);
+            assert.strictEqual(TitleRestorer.isEmptyTitle(item.url, item.url), true);
+            assert.strictEqual(TitleRestorer.isEmptyTitle('Fetched title', item.url), false);
+        });
+    });
+
+    describe('restoreTitle', () => {
+        it('should always replace the fetched title with the always policy', async () => {
+            const graphql = createGraphql({ title: 'Fetched title', state: 'SUCCEEDED' });
+            const restorer = new TitleRestorer(graphql, { policy: 'always' });
+
+            assert.deepStrictEqual(await restorer.restoreTitle(item), { status: 'updated' });
+            assert.deepStrictEqual(graphql.updates, [{ id: 'article-id', title: 'Pocket title' }]);
+        });
+
+        it('should keep a fetched title with the if-empty policy', async () => {
+            const graphql = createGraphql({ title: 'Fetched title', state: 'SUCCEEDED' });
+            const restorer = new TitleRestorer(graphql, { policy: 'if-empty' });
+
+            assert.deepStrictEqual(await restorer.restoreTitle(item), { status: 'kept' });
+            assert.strictEqual(graphql.updates.length, 0);
+        });
+
+        it('should replace a missing title of a page Omnivore could not fetch', async () => {
+            const graphql = createGraphql({ title: item.url, state: 'FAILED' });
+            const restorer = new TitleRestorer(graphql, { policy: 'if-empty' });
+
+            assert.deepStrictEqual(await restorer.restoreTitle(item), { status: 'updated' });
+        });
+
+        it('should not update a title that is already the Pocket title', async () => {
+            const graphql = createGraphql({ title: 'Pocket title', state: 'SUCCEEDED' });
+            const restorer = new TitleRestorer(graphql);
+
+            assert.deepStrictEqual(await restorer.restoreTitle(item), { status: 'kept' });
+            assert.strictEqual(graphql.updates.length, 0);
+        });
+
+        it('should fail when the article is still processing', async () => {
+            const graphql = createGraphql({ state: 'PROCESSING' });
+            const restorer = new TitleRestorer(graphql, { pollIntervalMs: 1, maxPollAttempts: 2 });
+
+            assert.deepStrictEqual(await restorer.restoreTitle(item), {
+                status: 'failed',
+                reason: 'Article still processing in Omnivore'
+            });
+        });
+
+        it('should report rejected updates and unreadable articles', async () => {
+            const graphql = createGraphql({ title: 'Fetched title', state: 'SUCCEEDED' });
+            const restorer = new TitleRestorer(graphql);
+
+            assert.deepStrictEqual(await restorer.restoreTitle({ ...item, title: 'rejected' }), {
+                status: 'failed',
+                reason: 'Title update failed: BAD_DATA'
+            });
+
+            graphql.getArticle = async () => {
+                throw new Error('Unauthorized');
+            };
+            assert.deepStrictEqual(await restorer.restoreTitle(item), {
+                status: 'failed',
+                reason: 'Article could not be read: Unauthorized'
+            });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { UrlChecker } from '../src/url-checker.js';
+
+describe('UrlChecker', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    // Each path answers like a kind of site
+    const routes = {
+        '/ok': (req, res) => res.writeHead(200).end('ok'),
+        '/missing': (req, res) => res.writeHead(404).end(),
+        '/gone': (req, res) => res.writeHead(410).end(),
+        '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 206).end('o'),
+        '/bot-check': (req, res) => res.writeHead(403).end(),
+        '/server-error': (req, res) => res.writeHead(503).end(),
+        '/redirect': (req, res) => res.writeHead(301, { Location: '/moved' }).end(),
+        '/moved': (req, res) => res.writeHead(302, { Location: `${baseUrl}/ok` }).end(),
+        '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+        '/slow-once': (req, res) => {
+            const attempts = requests.filter(request => request.url === '/slow-once').length;
+            if (attempts === 1) {
+                return; // Never answered, the checker times out
+            }
+            res.writeHead(200).end();
+        },
+        '/slow': () => {}
+    };
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ method: req.method, url: req.url, range: req.headers.range });
+            (routes[req.url] ?? routes['/missing'])(req, res);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const check = (path, options = {}) => {
+        requests = [];
+        return new UrlChecker({ timeoutMs: 200, ...options }).check(`${baseUrl}${path}`);
+    };
+
+    it('should find pages answering HEAD alive', async () => {
+        const result = await check('/ok');
+
+        assert.deepStrictEqual(result, {
+            status: 'alive',
+            reason: 'OK',
+            statusCode: 200,
+            finalUrl: `${baseUrl}/ok`,
+            redirects: 0
+        });
+        assert.deepStrictEqual(
+            requests.map(request => request.method),
+            ['HEAD']
+        );
+    });
+
+    it('should find missing and gone pages dead without a GET request', async () => {
+        assert.strictEqual((await check('/missing')).status, 'dead');
+        assert.strictEqual((await check('/gone')).reason, 'HTTP 410');
+        assert.deepStrictEqual(
+            requests.map(request => request.method),
+            ['HEAD']
+        );
+    });
+
+    it('should fall back to a ranged GET when HEAD is rejected', async () => {
+        const result = await check('/no-head');
+
+        assert.strictEqual(result.status, 'alive');
+        assert.strictEqual(result.statusCode, 206);
+        assert.deepStrictEqual(requests[1], { method: 'GET', url: '/no-head', range: 'bytes=0-0' });
+    });
+
+    it('should be uncertain about sites refusing the check or failing', async () => {
+        const blocked = await check('/bot-check');
+        const failing = await check('/server-error');
+
+        assert.strictEqual(blocked.status, 'uncertain');
+        assert.strictEqual(blocked.reason, 'HTTP 403');
+        assert.strictEqual(failing.status, 'uncertain');
+    });
+
+    it('should follow redirects and record the final URL', async () => {
+        const result = await check('/redirect');
+
+        assert.strictEqual(result.status, 'alive');
+        assert.strictEqual(result.finalUrl, `${baseUrl}/ok`);
+        assert.strictEqual(result.redirects, 2);
+    });
+
+    it('should give up after too many redirects', async () => {
+        const result = await check('/loop', { maxRedirects: 3 });
+
+        assert.strictEqual(result.status, 'uncertain');
+        assert.strictEqual(result.reason, 'Too many redirects');
+        assert.strictEqual(requests.length, 4);
+    });
+
+    it('should retry once on timeout', async () => {
+        const result = await check('/slow-once');
+
+        assert.strictEqual(result.status, 'alive');
+        assert.strictEqual(requests.length, 2);
+    });
+
+    it('should be uncertain about pages timing out twice', async () => {
+        const result = await check('/slow');
+
+        assert.strictEqual(result.status, 'uncertain');
+        assert.strictEqual(result.reason, 'Timeout');
+        assert.strictEqual(requests.length, 2);
+    });
+
+    it('should find unknown hosts and invalid URLs dead', async () => {
+        const checker = new UrlChecker({ timeoutMs: 2000 });
+
+        assert.strictEqual(UrlChecker.classify({ error: 'ENOTFOUND', redirects: 0 }).status, 'dead');
+        assert.strictEqual((await checker.check('not a url')).status, 'dead');
+        assert.strictEqual((await checker.check('not a url')).reason, 'ERR_INVALID_URL');
+    });
+});
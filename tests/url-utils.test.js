@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { UrlUtils } from '../src/url-utils.js';
+
+describe('UrlUtils', () => {
+    describe('normalize', () => {
+        it('should ignore protocol, www prefix and host case', () => {
+            assert.strictEqual(UrlUtils.normalize('https://www.Example.com/post'), 'example.com/post');
+            assert.strictEqual(UrlUtils.normalize('http://example.com/post'), 'example.com/post');
+        });
+
+        it('should ignore fragments and trailing slashes', () => {
+            assert.strictEqual(UrlUtils.normalize('https://example.com/post/#comments'), 'example.com/post');
+            assert.strictEqual(UrlUtils.normalize('https://example.com/'), 'example.com');
+        });
+
+        it('should drop tracking parameters and sort the others', () => {
+            assert.strictEqual(
+                UrlUtils.normalize('https://example.com/post?utm_source=pocket&b=2&a=1&fbclid=xyz'),
+                'example.com/post?a=1&b=2'
+            );
+        });
+
+        it('should keep non-default ports and path case', () => {
+            assert.strictEqual(UrlUtils.normalize('https://example.com:8443/Post'), 'example.com:8443/Post');
+        });
+
+        it('should fall back to the trimmed input for invalid URLs', () => {
+            assert.strictEqual(UrlUtils.normalize('  Not-A-URL '), 'not-a-url');
+        });
+    });
+
+    describe('getDomain', () => {
+        it('should return the lowercase domain without www', () => {
+            assert.strictEqual(UrlUtils.getDomain('https://www.YouTube.com/watch?v=1'), 'youtube.com');
+            assert.strictEqual(UrlUtils.getDomain('https://blog.example.com/post'), 'blog.example.com');
+        });
+
+        it('should return null for invalid URLs', () => {
+            assert.strictEqual(UrlUtils.getDomain('not-a-url'), null);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { WaybackClient } from '../src/wayback-client.js';
+
+describe('WaybackClient', () => {
+    let server;
+    let endpoint;
+    let lookups;
+    let reply;
+
+    before(async () => {
+        // Local stub of the Wayback Machine availability API
+        server = http.createServer((req, res) => {
+            // eslint-disable-next-line no-undef
+            lookups.push(new URL(req.url, endpoint).searchParams);
+            const { status = 200, body } = reply;
+            res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/wayback/available`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const lookup = (body, { status, timeAdded = '1609459200' } = {}) => {
+        lookups = [];
+        reply = { status, body };
+        return new WaybackClient({ endpoint }).findSnapshot('https://example.com/gone?page=2', timeAdded);
+    };
+
+    describe('toTimestamp', () => {
+        it('should convert Pocket timestamps', () => {
+            assert.strictEqual(WaybackClient.toTimestamp('1609504245'), '20210101123045');
+            assert.strictEqual(WaybackClient.toTimestamp(''), null);
+        });
+    });
+
+    describe('findSnapshot', () => {
+        it('should look up the snapshot closest to the time the article was saved', async () => {
+            const snapshot = await lookup({
+                archived_snapshots: {
+                    closest: {
+                        available: true,
+                        status: '200',
+                        timestamp: '20201231235959',
+                        // The availability API answers with http URLs
+                        // eslint-disable-next-line sonarjs/no-clear-text-protocols
+                        url: 'http://web.archive.org/web/20201231235959/https://example.com/gone?page=2'
+                    }
+                }
+            });
+
+            assert.deepStrictEqual(snapshot, {
+                url: 'https://web.archive.org/web/20201231235959/https://example.com/gone?page=2',
+                timestamp: '20201231235959'
+            });
+            assert.strictEqual(lookups[0].get('url'), 'https://example.com/gone?page=2');
+            assert.strictEqual(lookups[0].get('timestamp'), '20210101000000');
+        });
+
+        it('should look up the latest snapshot of rows without a date', async () => {
+            await lookup({ archived_snapshots: {} }, { timeAdded: '' });
+
+            assert.strictEqual(lookups[0].has('timestamp'), false);
+        });
+
+        it('should return null for pages never archived or archived as errors', async () => {
+            assert.strictEqual(await lookup({ archived_snapshots: {} }), null);
+            assert.strictEqual(
+                await lookup({
+                    archived_snapshots: {
+                        closest: { available: true, status: '404', url: 'https://web.archive.org/x' }
+                    }
+                }),
+                null
+            );
+        });
+
+        it('should reject failed lookups', async () => {
+            await assert.rejects(() => lookup({}, { status: 503 }), {
+                message: 'Wayback Machine lookup failed: HTTP 503'
+            });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { WorkerPool } from '../src/worker-pool.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkerPool', () => {
+    describe('run', () => {
+        it('should process every item', async () => {
+            const processed = [];
+
+            await WorkerPool.run([1, 2, 3, 4, 5], 2, async item => {
+                await wait(5);
+                processed.push(item);
+            });
+
+            assert.deepStrictEqual(
+                processed.sort((a, b) => a - b),
+                [1, 2, 3, 4, 5]
+            );
+        });
+
+        it('should never exceed the concurrency limit', async () => {
+            let running = 0;
+            let maxRunning = 0;
+
+            await WorkerPool.run([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await wait(10);
+                running--;
+            });
+
+            assert.strictEqual(maxRunning, 3);
+        });
+
+        it('should start items in order with a single worker', async () => {
+            const started = [];
+
+            await WorkerPool.run(['a', 'b', 'c'], 1, async item => {
+                started.push(item);
+                await wait(1);
+            });
+
+            assert.deepStrictEqual(started, ['a', 'b', 'c']);
+        });
+
+        it('should stop starting items after an error and re-throw it', async () => {
+            const started = [];
+            const worker = async item => {
+                started.push(item);
+                if (item === 2) {
+                    throw new Error('Item 2 failed');
+                }
+            };
+
+            await assert.rejects(() => WorkerPool.run([1, 2, 3, 4], 1, worker), { message: 'Item 2 failed' });
+
+            assert.deepStrictEqual(started, [1, 2]);
+        });
+
+        it('should pull items from an async iterable only as workers need them', async () => {
+            let pulled = 0;
+            const items = (async function* () {
+                for (let item = 1; item <= 6; item++) {
+                    pulled++;
+                    yield item;
+                }
+            })();
+            let maxAhead = 0;
+            let done = 0;
+            const worker = async () => {
+                maxAhead = Math.max(maxAhead, pulled - done);
+                await wait(2);
+                done++;
+            };
+
+            await WorkerPool.run(items, 2, worker);
+
+            assert.strictEqual(done, 6);
+            assert(maxAhead <= 2, `pulled ${maxAhead} items ahead of the workers`);
+        });
+
+        it('should close an async iterable after an error', async () => {
+            let closed = false;
+            const items = (async function* () {
+                try {
+                    yield* [1, 2, 3, 4];
+                } finally {
+                    closed = true;
+                }
+            })();
+            const worker = async item => {
+                if (item === 2) {
+                    throw new Error('Item 2 failed');
+                }
+            };
+
+            await assert.rejects(() => WorkerPool.run(items, 1, worker), { message: 'Item 2 failed' });
+
+            assert.strictEqual(closed, true);
+        });
+
+        it('should re-throw errors of the async iterable itself', async () => {
+            const items = (async function* () {
+                yield 1;
+                throw new Error('Read failed');
+            })();
+
+            const worker = async () => {};
+
+            await assert.rejects(() => WorkerPool.run(items, 2, worker), { message: 'Read failed' });
+        });
+
+        it('should handle an empty list', async () => {
+            let calls = 0;
+
+            await WorkerPool.run([], 4, async () => {
+                calls++;
+            });
+
+            assert.strictEqual(calls, 0);
+        });
+    });
+});